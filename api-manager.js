@@ -1,56 +1,894 @@
 /**
  * API Manager - Unified interface for multiple AI model providers
- * Fallback order: Gemini → OpenRouter → DeepSeek → Local Model (Ollama)
+ * Default fallback order: Gemini → OpenRouter → DeepSeek → Local Model (Ollama)
+ * The order and which providers are enabled can be changed in options, and providers
+ * can also be raced against each other or compared side by side.
+ * Providers that keep failing are skipped for a while (see ProviderHealth).
  */
 
+const GEMINI_MODEL = 'gemini-2.0-flash-exp';
+const DEFAULT_OPENROUTER_MODEL = 'google/gemini-2.0-flash-exp:free';
+const DEEPSEEK_MODEL = 'deepseek-chat';
+const DEFAULT_OLLAMA_MODEL = 'llama3.2';
+
+// Ollama context window: the transcript budget plus the output limit plus room for the
+// prompt around the transcript, never below Ollama's usual 8K
+const OLLAMA_PROMPT_MARGIN = 1500;
+const OLLAMA_MIN_CONTEXT = 8192;
+
+const SUMMARY_SYSTEM_PROMPT = 'You are a YouTube video summarizer. You are accurate and only use information from the content you are given.';
+
+// OpenAI-compatible instances are identified as "custom:<id>"
+const CUSTOM_PROVIDER_PREFIX = 'custom:';
+
+const PROVIDER_LABELS = {
+    gemini: 'Gemini',
+    openrouter: 'OpenRouter',
+    deepseek: 'DeepSeek',
+    local: 'Ollama'
+};
+
+// API key (in the KeyStore) that marks each provider as configured; Ollama needs a URL instead
+const PROVIDER_KEY_NAMES = {
+    gemini: 'apiKey',
+    openrouter: 'openRouterApiKey',
+    deepseek: 'deepSeekApiKey'
+};
+
+// Seconds to wait for a provider before moving on to the next one (when not set in options).
+// Local and self-hosted models often run on modest hardware, so they get longer.
+const DEFAULT_PROVIDER_TIMEOUTS = {
+    gemini: 60,
+    openrouter: 60,
+    deepseek: 60,
+    local: 180
+};
+const DEFAULT_CUSTOM_PROVIDER_TIMEOUT = 120;
+
+// Retries of rate-limited or overloaded requests, before moving on to the next provider.
+// Waits double each time (with jitter) unless the provider says how long to wait; if that
+// is longer than the maximum, the next provider is tried instead.
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// HTTP statuses worth retrying: timeouts, rate limits, overload and gateway errors
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Previous Q&A turns sent with each follow-up question
+const MAX_CHAT_HISTORY_TURNS = 10;
+
+/**
+ * A provider's HTTP error, classified so callers know whether retrying can help
+ */
+class ProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {number} details.status - HTTP status
+     * @param {boolean} details.transient - Rate limit, overload or server error; a retry may succeed
+     * @param {number|null} [details.retryAfter] - Seconds the provider asked to wait
+     * @param {string|null} [details.limit] - Which rate limit was hit (429 only), e.g. "requests per minute"
+     */
+    constructor(message, { status, transient, retryAfter = null, limit = null }) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.transient = transient;
+        this.retryAfter = retryAfter;
+        this.limit = limit;
+    }
+}
+
 class APIManager {
-    constructor() {
+    /**
+     * @param {KeyStore} keyStore - Encrypted API keys (decrypted only when a call is made)
+     * @param {ProviderHealth} health - Request history; failing providers are skipped for a while
+     * @param {UsageTracker} usage - Token usage and cost; paid providers are skipped over budget
+     */
+    constructor(keyStore, health, usage) {
+        this.keyStore = keyStore;
+        this.health = health;
+        this.usage = usage;
+
+        // Default order; the user's order is read from storage on each request
         this.providers = ['gemini', 'openrouter', 'deepseek', 'local'];
         this.currentProvider = null;
     }
 
     /**
-     * Generate summary using fallback cascade
-     * @param {string} transcript - Video transcript
-     * @returns {Promise<{summary: string, provider: string}>}
+     * Get the user's provider order, including disabled providers.
+     * Providers missing from the stored order are appended, enabled.
+     * @returns {Promise<Array<{id: string, enabled: boolean}>>}
+     */
+    async getProviderOrder() {
+        const { providerOrder } = await chrome.storage.sync.get(['providerOrder']);
+        const customProviders = await this._getCustomProviders();
+        const known = [
+            ...this.providers,
+            ...customProviders.map(instance => CUSTOM_PROVIDER_PREFIX + instance.id)
+        ];
+
+        const order = (Array.isArray(providerOrder) ? providerOrder : [])
+            .filter(entry => known.includes(entry?.id))
+            .map(entry => ({ id: entry.id, enabled: entry.enabled !== false }));
+
+        for (const id of known) {
+            if (!order.some(entry => entry.id === id)) {
+                order.push({ id, enabled: true });
+            }
+        }
+
+        return order;
+    }
+
+    /**
+     * Get enabled providers in the user's order
+     * @returns {Promise<string[]>}
+     */
+    async getEnabledProviders() {
+        const order = await this.getProviderOrder();
+        return order.filter(entry => entry.enabled).map(entry => entry.id);
+    }
+
+    /**
+     * Enabled providers to try for a request, in order. Paid providers are left out once
+     * the monthly budget is used up; those cooling down after repeated failures are left
+     * out too, unless that would leave none.
+     * @returns {Promise<{providers: string[], skipped: Array<{provider: string, error: string}>}>}
+     * @private
+     */
+    async _getCascade() {
+        const skipped = [];
+        let enabled = await this.getEnabledProviders();
+
+        const budget = await this.usage.getBudgetStatus();
+        if (budget.exhausted) {
+            const withinBudget = [];
+            for (const provider of enabled) {
+                if (await this.usage.isPaid(provider, await this._getModel(provider))) {
+                    skipped.push({ provider, error: `skipped: the monthly budget of $${budget.budget.toFixed(2)} is used up` });
+                } else {
+                    withinBudget.push(provider);
+                }
+            }
+            enabled = withinBudget;
+        }
+
+        const available = await this.health.filterAvailable(enabled);
+        if (available.length === 0) {
+            return { providers: enabled, skipped };
+        }
+
+        for (const provider of enabled.filter(id => !available.includes(id))) {
+            skipped.push({ provider, error: await this.health.describeSkip(provider) });
+        }
+        return { providers: available, skipped };
+    }
+
+    /**
+     * Check whether any enabled provider is configured
+     * @returns {Promise<boolean>}
+     */
+    async hasConfiguredProvider() {
+        const providers = await this.getEnabledProviders();
+        const { ollamaUrl } = await chrome.storage.sync.get(['ollamaUrl']);
+        const customProviders = await this._getCustomProviders();
+
+        for (const id of providers) {
+            if (id.startsWith(CUSTOM_PROVIDER_PREFIX)) {
+                const instance = customProviders.find(entry => CUSTOM_PROVIDER_PREFIX + entry.id === id);
+                if (instance?.baseUrl) return true;
+            } else if (id === 'local' ? !!ollamaUrl : await this.keyStore.has(PROVIDER_KEY_NAMES[id])) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get a display name for a provider
+     * @param {string} provider - Provider ID
+     * @returns {Promise<string>}
      */
-    async generateSummary(transcript) {
-        const errors = [];
+    async getProviderLabel(provider) {
+        if (provider.startsWith(CUSTOM_PROVIDER_PREFIX)) {
+            const instance = await this._getCustomProvider(provider).catch(() => null);
+            return instance?.name || 'OpenAI-compatible';
+        }
+        return PROVIDER_LABELS[provider] || provider;
+    }
+
+    /**
+     * Get configured OpenAI-compatible instances
+     * @returns {Promise<Array<{id, name, baseUrl, model, headers}>>}
+     * @private
+     */
+    async _getCustomProviders() {
+        const { customProviders } = await chrome.storage.sync.get(['customProviders']);
+        return (Array.isArray(customProviders) ? customProviders : []).filter(instance => instance?.id);
+    }
+
+    /**
+     * Look up an OpenAI-compatible instance by provider ID
+     * @private
+     */
+    async _getCustomProvider(provider) {
+        const id = provider.slice(CUSTOM_PROVIDER_PREFIX.length);
+        const instance = (await this._getCustomProviders()).find(entry => entry.id === id);
+        if (!instance) {
+            throw new Error(`OpenAI-compatible provider "${id}" not found`);
+        }
+        return instance;
+    }
+
+    /**
+     * Generate a structured summary using fallback cascade
+     * @param {string|null} transcript - Video transcript (null for metadata-only)
+     * @param {object} [options]
+     * @param {function} [options.onProgress] - Called with {provider, stage, current, total};
+     *   while waiting to retry, with {provider, stage: 'retry', attempt, seconds, status, limit, error}
+     * @param {function} [options.onToken] - Stream the final summary; called with (textSoFar, provider)
+     * @param {object} [options.metadata] - Video metadata (title, channel, description, duration)
+     * @param {boolean} [options.timestamped] - Transcript lines start with [m:ss] timestamps
+     * @param {Array} [options.chapters] - Uploader chapters to use as section boundaries
+     * @param {string} [options.style] - Summary style ID (see SummaryFormat.STYLES)
+     * @param {object} [options.template] - Custom prompt template (see PromptTemplate)
+     * @param {string} [options.language] - Output language code (see SummaryFormat.LANGUAGES)
+     * @param {AbortSignal} [options.signal] - Cancels the summary; the cascade stops with an AbortError
+     * @param {string} [options.strategy] - 'cascade' (default): one provider at a time, in order;
+     *   'race': all at once, the first summary wins (nothing is streamed)
+     * @returns {Promise<object>} Structured result (see SummaryFormat) plus provider, style, language and templateId
+     */
+    async generateSummary(transcript, options = {}) {
+        // Several providers streaming at once would interleave in one preview
+        if (options.strategy === 'race') {
+            options = { ...options, onToken: null };
+        }
+
+        const context = this._buildSummaryContext(transcript, options);
+        const { providers, skipped } = await this._getCascade();
+
+        if (options.strategy === 'race') {
+            return await this._raceSummary(providers, skipped, transcript, context, options);
+        }
+
+        // Try providers in order, skipping those that keep failing
+        const errors = [...skipped];
+
+        for (const provider of providers) {
+            options.signal?.throwIfAborted();
 
-        // Try providers in order
-        for (const provider of this.providers) {
             try {
                 console.log(`Attempting to generate summary using ${provider}...`);
-                const summary = await this._callProvider(provider, transcript);
+                const { text, usage } = await this._summarizeWith(provider, transcript, context, options);
                 this.currentProvider = provider;
-                return { summary, provider };
+                return await this._buildSummaryResult(provider, text, usage, context);
             } catch (error) {
+                // Cancelled, not failed: don't fall through to the next provider
+                if (options.signal?.aborted) throw error;
+
                 console.warn(`${provider} failed:`, error.message);
                 errors.push({ provider, error: error.message });
+                options.onProgress?.({ provider, stage: 'failed', error: error.message });
             }
         }
 
         // All providers failed
-        throw new Error(
+        throw this._cascadeError(errors);
+    }
+
+    /**
+     * Summarize with every enabled provider at once, to compare their results.
+     * Nothing is streamed; providers being skipped after repeated failures are listed with the reason.
+     * @param {string|null} transcript - Video transcript (null for metadata-only)
+     * @param {object} [options] - As for generateSummary (onToken and strategy are ignored);
+     *   onProgress is called with {provider, stage: 'compare', current, total} as each provider finishes
+     * @returns {Promise<Array<object>>} One entry per provider, in the user's order: a result as from
+     *   generateSummary, or {provider, providerName, error}; both with elapsed (ms, null if skipped)
+     * @throws {Error} If every provider failed
+     */
+    async compareSummaries(transcript, options = {}) {
+        const context = this._buildSummaryContext(transcript, { ...options, onToken: null });
+        const { providers, skipped } = await this._getCascade();
+        let finished = 0;
+
+        const results = await Promise.all(providers.map(async (provider) => {
+            const started = Date.now();
+
+            try {
+                const { text, usage } = await this._summarizeWith(provider, transcript, context, {});
+                return {
+                    ...(await this._buildSummaryResult(provider, text, usage, context)),
+                    elapsed: Date.now() - started
+                };
+            } catch (error) {
+                options.signal?.throwIfAborted();
+
+                console.warn(`${provider} failed:`, error.message);
+                return {
+                    provider,
+                    providerName: await this.getProviderLabel(provider),
+                    error: error.message,
+                    elapsed: Date.now() - started
+                };
+            } finally {
+                if (!options.signal?.aborted) {
+                    options.onProgress?.({ provider, stage: 'compare', current: ++finished, total: providers.length });
+                }
+            }
+        }));
+
+        options.signal?.throwIfAborted();
+
+        if (!results.some(result => !result.error)) {
+            throw this._cascadeError([...results, ...skipped]);
+        }
+
+        for (const { provider, error } of skipped) {
+            results.push({ provider, providerName: await this.getProviderLabel(provider), error, elapsed: null });
+        }
+        return results;
+    }
+
+    /**
+     * Call every provider at once; the first summary wins and the other requests are aborted
+     * @private
+     */
+    async _raceSummary(providers, skipped, transcript, context, options) {
+        const errors = [...skipped];
+        const controllers = providers.map(() => new AbortController());
+
+        options.onProgress?.({ stage: 'race', total: providers.length });
+
+        try {
+            return await Promise.any(providers.map(async (provider, index) => {
+                const own = controllers[index].signal;
+                const signal = options.signal ? AbortSignal.any([options.signal, own]) : own;
+
+                try {
+                    const { text, usage } = await this._summarizeWith(provider, transcript, {
+                        ...context,
+                        callOptions: { ...context.callOptions, signal }
+                    }, {});
+
+                    controllers.forEach((controller, other) => {
+                        if (other !== index) controller.abort();
+                    });
+                    this.currentProvider = provider;
+                    return await this._buildSummaryResult(provider, text, usage, context);
+                } catch (error) {
+                    // Losing the race isn't a failure
+                    if (!signal.aborted) {
+                        console.warn(`${provider} failed:`, error.message);
+                        errors.push({ provider, error: error.message });
+                    }
+                    throw error;
+                }
+            }));
+        } catch (error) {
+            options.signal?.throwIfAborted();
+            throw this._cascadeError(errors);
+        }
+    }
+
+    /**
+     * Request context shared by every provider request of one summary
+     * @private
+     */
+    _buildSummaryContext(transcript, options) {
+        return {
+            // Passed with every provider request
+            callOptions: {
+                signal: options.signal,
+                onRetry: options.onProgress && (retry => options.onProgress({ stage: 'retry', ...retry }))
+            },
+            hasTranscript: !!transcript,
+            metadata: options.metadata || {},
+            timestamped: !!options.timestamped,
+            chapters: options.chapters || [],
+            style: SummaryFormat.getStyle(options.style).id,
+            template: options.template || null,
+            language: SummaryFormat.getLanguage(options.language),
+            // Partial JSON is unreadable, so streamed summaries use the labelled text format.
+            // Templates without {format} ask for free-form output.
+            json: !options.onToken && (!options.template || PromptTemplate.usesFormat(options.template))
+        };
+    }
+
+    /**
+     * Parse a provider's response into a summary result
+     * @param {object|null} usage - Tokens used by all requests of the summary
+     * @private
+     */
+    async _buildSummaryResult(provider, text, usage, context) {
+        const model = await this._getModel(provider);
+
+        return {
+            ...SummaryFormat.parse(text, context),
+            style: context.style,
+            language: context.language,
+            templateId: context.template?.id || null,
+            provider,
+            providerName: await this.getProviderLabel(provider),
+            usage: usage && { ...usage, model, cost: await this.usage.estimateCost(provider, model, usage) }
+        };
+    }
+
+    /**
+     * Answer a follow-up question about a video using fallback cascade.
+     * Long transcripts are cut down to the parts most relevant to the question.
+     * @param {string|null} transcript - Video transcript (timestamped when available)
+     * @param {string} question - User question
+     * @param {object} [options]
+     * @param {Array} [options.history] - Previous turns [{role: 'user'|'assistant', content}]
+     * @param {object} [options.metadata] - Video metadata (title, channel, description)
+     * @param {boolean} [options.timestamped] - Transcript lines start with [m:ss] timestamps
+     * @param {string} [options.language] - Output language code (see SummaryFormat.LANGUAGES)
+     * @returns {Promise<{answer: string, provider: string, providerName: string}>}
+     */
+    async answerQuestion(transcript, question, options = {}) {
+        const { providers, skipped } = await this._getCascade();
+        const errors = [...skipped];
+
+        for (const provider of providers) {
+            try {
+                console.log(`Attempting to answer question using ${provider}...`);
+                const budget = TranscriptChunker.getTokenBudget(provider, await this._getModel(provider));
+                const context = TranscriptChunker.selectRelevant(transcript, question, budget);
+                const answer = await this._callProvider(provider, this._buildQuestionRequest(context, question, options));
+                this.currentProvider = provider;
+                return { answer, provider, providerName: await this.getProviderLabel(provider) };
+            } catch (error) {
+                console.warn(`${provider} failed:`, error.message);
+                errors.push({ provider, error: error.message });
+            }
+        }
+
+        throw this._cascadeError(errors);
+    }
+
+    /**
+     * Combine per-provider failures into one error
+     * @private
+     */
+    _cascadeError(errors) {
+        return new Error(
             `All AI providers failed:\n${errors.map(e => `- ${e.provider}: ${e.error}`).join('\n')}`
         );
     }
 
     /**
-     * Call specific provider
+     * Summarize with a single provider, splitting long transcripts into
+     * chunks (map) and merging the partial summaries (reduce).
+     * Only the final request is streamed.
+     * @returns {Promise<{text: string, usage: object|null}>} usage: tokens of all requests,
+     *   or null if the provider didn't report any
+     * @private
+     */
+    async _summarizeWith(provider, transcript, context, options) {
+        const { onProgress } = options;
+        const onToken = options.onToken && (text => options.onToken(text, provider));
+        const budget = TranscriptChunker.getTokenBudget(provider, await this._getModel(provider));
+        const chunks = TranscriptChunker.split(transcript, budget);
+
+        let usage = null;
+        context = {
+            ...context,
+            callOptions: {
+                ...context.callOptions,
+                onUsage: tokens => {
+                    usage = {
+                        promptTokens: (usage?.promptTokens || 0) + tokens.promptTokens,
+                        completionTokens: (usage?.completionTokens || 0) + tokens.completionTokens
+                    };
+                }
+            }
+        };
+
+        if (chunks.length <= 1) {
+            const text = await this._callProvider(provider, {
+                ...this._buildSummaryRequest(transcript, context),
+                onToken,
+                ...context.callOptions
+            });
+            return { text, usage };
+        }
+
+        console.log(`Transcript split into ${chunks.length} chunks for ${provider}`);
+
+        const partials = [];
+        for (let i = 0; i < chunks.length; i++) {
+            onProgress?.({ provider, stage: 'chunk', current: i + 1, total: chunks.length });
+            partials.push(await this._callProvider(provider, {
+                ...this._buildChunkRequest(chunks[i], i, chunks.length, context),
+                ...context.callOptions
+            }));
+        }
+
+        const text = await this._reduce(provider, partials, budget, context, onProgress, onToken);
+        return { text, usage };
+    }
+
+    /**
+     * Merge partial summaries, condensing them in batches first if they
+     * don't fit in a single request. No request is sent over the budget: partials
+     * too large to share a request are condensed one at a time, and cut to fit
+     * if condensing doesn't shrink them.
+     * @private
+     */
+    async _reduce(provider, partials, budget, context, onProgress, onToken) {
+        partials = partials.map(partial => TranscriptChunker.truncate(partial, budget));
+        const groups = TranscriptChunker.group(partials, budget);
+
+        if (groups.length > 1) {
+            const condensed = [];
+            for (let i = 0; i < groups.length; i++) {
+                onProgress?.({ provider, stage: 'condense', current: i + 1, total: groups.length });
+                condensed.push(await this._callProvider(provider, {
+                    ...this._buildMergeRequest(groups[i], false, context),
+                    ...context.callOptions
+                }));
+            }
+
+            const tokens = items => items.reduce((sum, item) => sum + TranscriptChunker.estimateTokens(item), 0);
+            if (condensed.length < partials.length || tokens(condensed) < tokens(partials)) {
+                return await this._reduce(provider, condensed, budget, context, onProgress, onToken);
+            }
+
+            // Condensing made no progress: give each partial an equal share of the request
+            partials = partials.map(partial => TranscriptChunker.truncate(partial, Math.floor(budget / partials.length)));
+        }
+
+        onProgress?.({ provider, stage: 'merge', current: 1, total: 1 });
+        return await this._callProvider(provider, {
+            ...this._buildMergeRequest(partials, true, context),
+            onToken,
+            ...context.callOptions
+        });
+    }
+
+    /**
+     * Prompt for a structured summary of a transcript that fits in one
+     * request, or of the metadata alone when there is no transcript
+     * @private
+     */
+    _buildSummaryRequest(transcript, context = { hasTranscript: true, json: true }) {
+        if (context.template) {
+            return this._buildTemplateRequest(transcript, context);
+        }
+
+        const metadata = context.metadata || {};
+        const header = `Video Title: ${metadata.title || 'Unknown'}\nChannel: ${metadata.channel || 'Unknown'}`;
+        const instructions = SummaryFormat.buildInstructions(context);
+
+        const prompt = context.hasTranscript
+            ? `Analyze the following YouTube video transcript and create a structured summary.` +
+            `${context.timestamped ? ' Each transcript line starts with a [m:ss] timestamp.' : ''}\n\n` +
+            `${header}\n\nTranscript:\n${transcript}\n\n${instructions}`
+            : `The transcript for this video is unavailable, but you have metadata.\n\n` +
+            `${header}\nDescription: ${metadata.description || 'Not available'}\n\n${instructions}`;
+
+        return {
+            system: SUMMARY_SYSTEM_PROMPT,
+            prompt,
+            maxTokens: SummaryFormat.getStyle(context.style).maxTokens,
+            json: context.json,
+            schema: SummaryFormat.RESPONSE_SCHEMA
+        };
+    }
+
+    /**
+     * Prompt for the map step: notes on one chunk of a long transcript
+     * @private
+     */
+    _buildChunkRequest(chunk, index, total, context = {}) {
+        const timestamps = context.timestamped
+            ? 'Each line starts with a [m:ss] timestamp; start each note with the timestamp where that point is made. '
+            : '';
+
+        return {
+            system: SUMMARY_SYSTEM_PROMPT,
+            prompt: `This is part ${index + 1} of ${total} of a long YouTube video transcript. ${timestamps}` +
+                `Write concise notes (3-5 sentences) on the key points of this part only. ` +
+                `${SummaryFormat.buildLanguageInstruction(context.language)}\n\n${chunk}`,
+            maxTokens: SummaryFormat.getStyle(context.style).noteTokens
+        };
+    }
+
+    /**
+     * Prompt for the reduce step: combine notes on consecutive parts,
+     * either into condensed notes or into the final structured summary
+     * @private
+     */
+    _buildMergeRequest(partials, isFinal, context = {}) {
+        const notes = partials.map((text, i) => `PART ${i + 1}:\n${text}`).join('\n\n');
+
+        if (isFinal && context.template) {
+            return this._buildTemplateRequest(
+                `Notes on consecutive parts of a long video${context.timestamped ? ', with timestamps' : ''}:\n\n${notes}`,
+                context
+            );
+        }
+
+        if (isFinal) {
+            const metadata = context.metadata || {};
+
+            return {
+                system: SUMMARY_SYSTEM_PROMPT,
+                prompt: `Below are ${context.timestamped ? 'timestamped ' : ''}notes on consecutive parts of a long YouTube video. ` +
+                    `Create a structured summary of the whole video.\n\n` +
+                    `Video Title: ${metadata.title || 'Unknown'}\nChannel: ${metadata.channel || 'Unknown'}\n\n` +
+                    `Notes:\n${notes}\n\n${SummaryFormat.buildInstructions(context)}`,
+                maxTokens: SummaryFormat.getStyle(context.style).maxTokens,
+                json: context.json,
+                schema: SummaryFormat.RESPONSE_SCHEMA
+            };
+        }
+
+        return {
+            system: SUMMARY_SYSTEM_PROMPT,
+            prompt: `Below are notes on consecutive parts of a long YouTube video. ` +
+                `Combine them into one set of concise notes (5-8 sentences), keeping the key points in order` +
+                `${context.timestamped ? ' and each point\'s [m:ss] timestamp' : ''}. ` +
+                `${SummaryFormat.buildLanguageInstruction(context.language)}\n\n${notes}`,
+            maxTokens: 600
+        };
+    }
+
+    /**
+     * Summary request from a custom prompt template. The template's system
+     * text stays in the system message; the built-in one is used if empty.
+     * @param {string|null} content - Transcript or merged notes
+     * @private
+     */
+    _buildTemplateRequest(content, context) {
+        const values = PromptTemplate.buildValues(context, content);
+        const { system, prompt } = PromptTemplate.buildMessages(context.template, values);
+
+        return {
+            system: system || SUMMARY_SYSTEM_PROMPT,
+            prompt,
+            maxTokens: SummaryFormat.getStyle(context.style).maxTokens,
+            json: context.json,
+            schema: SummaryFormat.RESPONSE_SCHEMA
+        };
+    }
+
+    /**
+     * Prompt for a follow-up question, grounded in the transcript.
+     * The transcript goes in the system message so history stays plain Q&A.
      * @private
      */
-    async _callProvider(provider, transcript) {
+    _buildQuestionRequest(transcript, question, options = {}) {
+        const metadata = options.metadata || {};
+        const citations = transcript && options.timestamped
+            ? ' When you draw on a specific part of the video, cite its timestamp in brackets, e.g. [12:34].'
+            : '';
+        const source = transcript
+            ? `Transcript${options.timestamped ? ' (each line starts with a [m:ss] timestamp)' : ''}:\n${transcript}`
+            : `No transcript is available.\nDescription: ${metadata.description || 'Not available'}`;
+
+        return {
+            system: `You answer questions about a YouTube video using only the information below. ` +
+                `If the answer is not there, say so rather than guessing. Be concise.${citations} ` +
+                `${SummaryFormat.buildLanguageInstruction(options.language)}\n\n` +
+                `Video Title: ${metadata.title || 'Unknown'}\nChannel: ${metadata.channel || 'Unknown'}\n\n${source}`,
+            prompt: question,
+            history: (options.history || []).slice(-MAX_CHAT_HISTORY_TURNS),
+            maxTokens: 600
+        };
+    }
+
+    /**
+     * Chat-style message list: system message, previous turns, then the prompt
+     * @private
+     */
+    _buildMessages(request) {
+        return [
+            { role: 'system', content: request.system },
+            ...(request.history || []).map(turn => ({ role: turn.role, content: turn.content })),
+            { role: 'user', content: request.prompt }
+        ];
+    }
+
+    /**
+     * Get the model a provider will use
+     * @private
+     */
+    async _getModel(provider) {
+        switch (provider) {
+            case 'gemini':
+                return GEMINI_MODEL;
+            case 'openrouter': {
+                const { openRouterModel } = await chrome.storage.sync.get(['openRouterModel']);
+                return openRouterModel || DEFAULT_OPENROUTER_MODEL;
+            }
+            case 'deepseek':
+                return DEEPSEEK_MODEL;
+            case 'local': {
+                const { ollamaModel } = await chrome.storage.sync.get(['ollamaModel']);
+                return ollamaModel || DEFAULT_OLLAMA_MODEL;
+            }
+            default:
+                if (provider.startsWith(CUSTOM_PROVIDER_PREFIX)) {
+                    const instance = await this._getCustomProvider(provider);
+                    return instance.model || null;
+                }
+                return null;
+        }
+    }
+
+    /**
+     * Call specific provider, retrying rate-limited and overloaded requests
+     * @param {string} provider - Provider ID
+     * @param {object} request
+     * @param {string} request.system - System message
+     * @param {string} request.prompt - User message
+     * @param {number} request.maxTokens - Output token limit
+     * @param {Array} [request.history] - Previous turns [{role: 'user'|'assistant', content}]
+     * @param {boolean} [request.json] - Use the provider's JSON output mode
+     * @param {object} [request.schema] - Response schema (Gemini only)
+     * @param {function} [request.onToken] - Stream the response; called with the text so far
+     * @param {AbortSignal} [request.signal] - Cancels the request
+     * @param {function} [request.onRetry] - Called with {provider, attempt, seconds, status, limit, error}
+     *   before waiting to retry
+     * @param {function} [request.onUsage] - Called with {promptTokens, completionTokens} if the provider reports them
+     * @returns {Promise<string>} Raw response text (complete, also when streamed)
+     * @throws {ProviderError} For HTTP errors that are permanent or still failing after retries
+     * @throws {Error} If the provider doesn't respond within its timeout
+     * @private
+     */
+    async _callProvider(provider, request) {
+        for (let attempt = 1; ; attempt++) {
+            const started = Date.now();
+
+            try {
+                let usage = null;
+                const text = await this._callWithTimeout(provider, {
+                    ...request,
+                    onUsage: tokens => { usage = tokens; }
+                });
+
+                await this.health.recordSuccess(provider, Date.now() - started);
+                if (usage) {
+                    await this.usage.record(provider, await this._getModel(provider), usage);
+                    request.onUsage?.(usage);
+                }
+                return text;
+            } catch (error) {
+                // Cancelled: says nothing about the provider
+                if (request.signal?.aborted) throw error;
+
+                const delay = this._getRetryDelay(error, attempt);
+                if (delay === null) {
+                    await this.health.recordFailure(provider, error.message);
+                    throw error;
+                }
+
+                const seconds = Math.ceil(delay / 1000);
+                console.warn(`${provider} request failed (${error.status}), retrying in ${seconds}s`);
+                request.onRetry?.({
+                    provider, attempt, seconds, status: error.status, limit: error.limit, error: error.message
+                });
+
+                await this._wait(delay, request.signal);
+            }
+        }
+    }
+
+    /**
+     * How long to wait before retrying a failed request
+     * @param {Error} error
+     * @param {number} attempt - 1 for the first retry
+     * @returns {number|null} Milliseconds, or null if it shouldn't be retried
+     * @private
+     */
+    _getRetryDelay(error, attempt) {
+        if (!(error instanceof ProviderError) || !error.transient || attempt > MAX_RETRIES) {
+            return null;
+        }
+
+        const delay = error.retryAfter !== null
+            ? error.retryAfter * 1000
+            : this._backoffDelay(attempt);
+        return delay > MAX_RETRY_DELAY_MS ? null : delay;
+    }
+
+    /**
+     * Make one request, giving up if the provider doesn't respond within its timeout
+     * @private
+     */
+    async _callWithTimeout(provider, request) {
+        request.signal?.throwIfAborted();
+
+        const seconds = await this._getTimeout(provider);
+        const timeout = new AbortController();
+        let timer;
+        const restartTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => timeout.abort(), seconds * 1000);
+        };
+
+        restartTimer();
+
+        try {
+            return await this._dispatch(provider, {
+                ...request,
+                signal: request.signal ? AbortSignal.any([request.signal, timeout.signal]) : timeout.signal,
+                // A stream that is still sending isn't hung, so each chunk restarts the timer
+                ...(request.onToken && {
+                    onToken: text => {
+                        restartTimer();
+                        request.onToken(text);
+                    }
+                })
+            });
+        } catch (error) {
+            if (timeout.signal.aborted && !request.signal?.aborted) {
+                throw new Error(`${await this.getProviderLabel(provider)} did not respond within ${seconds}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter: a random wait between half and all of the doubled delay
+     * @param {number} attempt - 1 for the first retry
+     * @private
+     */
+    _backoffDelay(attempt) {
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Wait before a retry; rejects with the abort reason if cancelled
+     * @private
+     */
+    _wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Seconds to wait for a provider, from options or the default
+     * @private
+     */
+    async _getTimeout(provider) {
+        const { providerTimeouts } = await chrome.storage.sync.get(['providerTimeouts']);
+        const seconds = providerTimeouts?.[provider];
+
+        if (Number.isInteger(seconds) && seconds > 0) return seconds;
+        return DEFAULT_PROVIDER_TIMEOUTS[provider] || DEFAULT_CUSTOM_PROVIDER_TIMEOUT;
+    }
+
+    /**
+     * Send a request to the provider's implementation
+     * @private
+     */
+    async _dispatch(provider, request) {
         switch (provider) {
             case 'gemini':
-                return await this._callGemini(transcript);
+                return await this._callGemini(request);
             case 'openrouter':
-                return await this._callOpenRouter(transcript);
+                return await this._callOpenRouter(request);
             case 'deepseek':
-                return await this._callDeepSeek(transcript);
+                return await this._callDeepSeek(request);
             case 'local':
-                return await this._callLocal(transcript);
+                return await this._callLocal(request);
             default:
+                if (provider.startsWith(CUSTOM_PROVIDER_PREFIX)) {
+                    return await this._callOpenAICompatible(provider, request);
+                }
                 throw new Error(`Unknown provider: ${provider}`);
         }
     }
@@ -59,37 +897,66 @@ class APIManager {
      * Gemini API implementation
      * @private
      */
-    async _callGemini(transcript) {
-        const { apiKey } = await chrome.storage.sync.get(['apiKey']);
+    async _callGemini(request) {
+        const apiKey = await this.keyStore.get('apiKey');
         if (!apiKey) {
             throw new Error('Gemini API key not configured');
         }
 
+        const method = request.onToken ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+
         const response = await fetch(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`,
+            `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:${method}key=${apiKey}`,
             {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
+                signal: request.signal,
                 body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: `Provide a concise summary (2-3 sentences) of this YouTube video transcript:\n\n${transcript}`
-                        }]
-                    }],
+                    systemInstruction: {
+                        parts: [{ text: request.system }]
+                    },
+                    contents: [
+                        ...(request.history || []).map(turn => ({
+                            role: turn.role === 'assistant' ? 'model' : 'user',
+                            parts: [{ text: turn.content }]
+                        })),
+                        {
+                            role: 'user',
+                            parts: [{
+                                text: request.prompt
+                            }]
+                        }
+                    ],
                     generationConfig: {
                         temperature: 0.7,
-                        maxOutputTokens: 150
+                        maxOutputTokens: request.maxTokens,
+                        ...(request.json && {
+                            responseMimeType: 'application/json',
+                            ...(request.schema && { responseSchema: request.schema })
+                        })
                     }
                 })
             }
         );
 
         if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Gemini API error: ${response.status} - ${error}`);
+            throw await this._responseError('Gemini', response);
+        }
+
+        if (request.onToken) {
+            return await this._readStream(response, {
+                sse: true,
+                extractDelta: data => (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+                // Every chunk carries the running totals
+                extractUsage: data => this._toUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount),
+                onToken: request.onToken,
+                onUsage: request.onUsage
+            });
         }
 
         const data = await response.json();
+        const usage = this._toUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount);
+        if (usage) request.onUsage?.(usage);
         return data.candidates[0].content.parts[0].text.trim();
     }
 
@@ -97,100 +964,161 @@ class APIManager {
      * OpenRouter API implementation
      * @private
      */
-    async _callOpenRouter(transcript) {
-        const { openRouterApiKey, openRouterModel } = await chrome.storage.sync.get([
-            'openRouterApiKey',
-            'openRouterModel'
-        ]);
+    async _callOpenRouter(request) {
+        const openRouterApiKey = await this.keyStore.get('openRouterApiKey');
+        const { openRouterModel } = await chrome.storage.sync.get(['openRouterModel']);
 
         if (!openRouterApiKey) {
             throw new Error('OpenRouter API key not configured');
         }
 
-        // Default to a fast, cheap model
-        const model = openRouterModel || 'google/gemini-2.0-flash-exp:free';
-
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
+        return await this._callChatCompletions({
+            label: 'OpenRouter',
+            url: 'https://openrouter.ai/api/v1/chat/completions',
             headers: {
-                'Content-Type': 'application/json',
                 'Authorization': `Bearer ${openRouterApiKey}`,
                 'HTTP-Referer': 'chrome-extension://youtube-video-summarizer',
                 'X-Title': 'YouTube Video Summarizer'
             },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a helpful assistant that creates concise video summaries.'
-                    },
-                    {
-                        role: 'user',
-                        content: `Provide a concise summary (2-3 sentences) of this YouTube video transcript:\n\n${transcript}`
-                    }
-                ],
-                max_tokens: 150,
-                temperature: 0.7
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0].message.content.trim();
+            // Default to a fast, cheap model
+            model: openRouterModel || DEFAULT_OPENROUTER_MODEL,
+            jsonMode: true,
+            streamUsage: true
+        }, request);
     }
 
     /**
      * DeepSeek API implementation
      * @private
      */
-    async _callDeepSeek(transcript) {
-        const { deepSeekApiKey } = await chrome.storage.sync.get(['deepSeekApiKey']);
+    async _callDeepSeek(request) {
+        const deepSeekApiKey = await this.keyStore.get('deepSeekApiKey');
         if (!deepSeekApiKey) {
             throw new Error('DeepSeek API key not configured');
         }
 
-        const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
+        return await this._callChatCompletions({
+            label: 'DeepSeek',
+            url: 'https://api.deepseek.com/v1/chat/completions',
+            headers: {
+                'Authorization': `Bearer ${deepSeekApiKey}`
+            },
+            model: DEEPSEEK_MODEL,
+            jsonMode: true,
+            streamUsage: true
+        }, request);
+    }
+
+    /**
+     * Generic OpenAI-compatible server (LM Studio, vLLM, llama.cpp, gateways)
+     * @param {string} provider - "custom:<id>" provider ID
+     * @private
+     */
+    async _callOpenAICompatible(provider, request) {
+        const instance = await this._getCustomProvider(provider);
+        const label = instance.name || 'OpenAI-compatible';
+
+        if (!instance.baseUrl) {
+            throw new Error(`${label}: base URL not configured`);
+        }
+
+        const apiKey = await this.keyStore.get(provider);
+        const secretHeaders = await this.keyStore.getHeaders(instance.id);
+
+        // Accept either the API root (".../v1") or the full endpoint
+        const baseUrl = instance.baseUrl.replace(/\/+$/, '');
+        const url = /\/chat\/completions$/.test(baseUrl) ? baseUrl : `${baseUrl}/chat/completions`;
+
+        try {
+            return await this._callChatCompletions({
+                label,
+                url,
+                headers: {
+                    ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+                    ...(instance.headers || {}),
+                    ...secretHeaders
+                },
+                model: instance.model,
+                // response_format support varies between servers; rely on the tolerant parser
+                jsonMode: false
+            }, request);
+        } catch (error) {
+            if (error.name === 'TypeError') {
+                throw new Error(
+                    `Cannot connect to ${label} at ${url}. Check the base URL, that the server is running, ` +
+                    'and that host access was granted when saving settings.'
+                );
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Shared implementation for OpenAI-style /chat/completions APIs
+     * @param {object} endpoint
+     * @param {string} endpoint.label - Name used in error messages
+     * @param {string} endpoint.url - Full chat completions URL
+     * @param {object} endpoint.headers - Auth and extra headers
+     * @param {string} [endpoint.model] - Model name (some servers ignore it)
+     * @param {boolean} endpoint.jsonMode - Server supports response_format json_object
+     * @param {boolean} [endpoint.streamUsage] - Server supports stream_options.include_usage
+     * @private
+     */
+    async _callChatCompletions(endpoint, request) {
+        const response = await fetch(endpoint.url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${deepSeekApiKey}`
+                ...endpoint.headers
             },
+            signal: request.signal,
             body: JSON.stringify({
-                model: 'deepseek-chat',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a helpful assistant that creates concise video summaries.'
-                    },
-                    {
-                        role: 'user',
-                        content: `Provide a concise summary (2-3 sentences) of this YouTube video transcript:\n\n${transcript}`
-                    }
-                ],
-                max_tokens: 150,
-                temperature: 0.7
+                ...(endpoint.model && { model: endpoint.model }),
+                messages: this._buildMessages(request),
+                max_tokens: request.maxTokens,
+                temperature: 0.7,
+                stream: !!request.onToken,
+                ...(request.onToken && endpoint.streamUsage && { stream_options: { include_usage: true } }),
+                ...(request.json && endpoint.jsonMode && { response_format: { type: 'json_object' } })
             })
         });
 
         if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`DeepSeek API error: ${response.status} - ${error}`);
+            throw await this._responseError(endpoint.label, response);
+        }
+
+        if (request.onToken) {
+            return await this._readStream(response, {
+                sse: true,
+                extractDelta: data => data.choices?.[0]?.delta?.content || '',
+                // Sent in the last chunk
+                extractUsage: data => this._toUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens),
+                onToken: request.onToken,
+                onUsage: request.onUsage
+            });
         }
 
         const data = await response.json();
+        const usage = this._toUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens);
+        if (usage) request.onUsage?.(usage);
         return data.choices[0].message.content.trim();
     }
 
+    /**
+     * Context window for an Ollama request, so a full transcript chunk, the prompt
+     * and the longest output all fit (rounded up to a multiple of 1024)
+     * @private
+     */
+    _getOllamaContext(maxTokens) {
+        const tokens = TranscriptChunker.getTokenBudget('local') + (maxTokens || 0) + OLLAMA_PROMPT_MARGIN;
+        return Math.max(OLLAMA_MIN_CONTEXT, Math.ceil(tokens / 1024) * 1024);
+    }
+
     /**
      * Local Model (Ollama) implementation
      * @private
      */
-    async _callLocal(transcript) {
+    async _callLocal(request) {
         const { ollamaUrl, ollamaModel } = await chrome.storage.sync.get([
             'ollamaUrl',
             'ollamaModel'
@@ -198,31 +1126,33 @@ class APIManager {
 
         // Normalize URL - remove trailing slash
         let url = (ollamaUrl || 'http://localhost:11434').replace(/\/$/, '');
-        const model = ollamaModel || 'llama3.2';  // Updated default model
+        const model = ollamaModel || DEFAULT_OLLAMA_MODEL;
 
         try {
-            console.log(`Calling Ollama at ${url}/api/generate with model ${model}`);
+            console.log(`Calling Ollama at ${url}/api/chat with model ${model}`);
 
-            const response = await fetch(`${url}/api/generate`, {
+            const response = await fetch(`${url}/api/chat`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
+                signal: request.signal,
                 body: JSON.stringify({
                     model: model,
-                    prompt: `Provide a concise summary (2-3 sentences) of this YouTube video transcript:\n\n${transcript}`,
-                    stream: false,
+                    messages: this._buildMessages(request),
+                    stream: !!request.onToken,
+                    ...(request.json && { format: 'json' }),
                     options: {
                         temperature: 0.7,
-                        num_predict: 150
+                        num_predict: request.maxTokens,
+                        // Ollama's default context window silently truncates long prompts
+                        num_ctx: this._getOllamaContext(request.maxTokens)
                     }
                 })
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-
                 // 403 = CORS issue
                 if (response.status === 403) {
                     throw new Error(
@@ -238,11 +1168,25 @@ class APIManager {
                     );
                 }
 
-                throw new Error(`Ollama error: ${response.status} - ${errorText}`);
+                throw await this._responseError('Ollama', response);
+            }
+
+            if (request.onToken) {
+                // Ollama streams newline-delimited JSON rather than SSE
+                return await this._readStream(response, {
+                    sse: false,
+                    extractDelta: data => data.message?.content || '',
+                    // Sent in the final ("done") chunk
+                    extractUsage: data => this._toUsage(data.prompt_eval_count, data.eval_count),
+                    onToken: request.onToken,
+                    onUsage: request.onUsage
+                });
             }
 
             const data = await response.json();
-            return data.response?.trim() || 'No response from Ollama';
+            const usage = this._toUsage(data.prompt_eval_count, data.eval_count);
+            if (usage) request.onUsage?.(usage);
+            return data.message?.content?.trim() || 'No response from Ollama';
 
         } catch (error) {
             // Network/CORS errors
@@ -258,24 +1202,190 @@ class APIManager {
     }
 
     /**
-     * Test all configured providers
+     * Build a ProviderError from a failed response, using the API's error message
+     * rather than the raw body
+     * @param {string} label - Provider name for the message
+     * @param {Response} response
+     * @returns {Promise<ProviderError>}
+     * @private
+     */
+    async _responseError(label, response) {
+        const body = await response.text().catch(() => '');
+        let payload = null;
+        try {
+            payload = JSON.parse(body);
+            // Gemini's streaming endpoint wraps errors in an array
+            if (Array.isArray(payload)) payload = payload[0];
+        } catch (error) {
+            // Not JSON; use the body as-is
+        }
+
+        const error = payload?.error;
+        const detail = String(error?.message || (typeof error === 'string' && error) || payload?.message ||
+            body || response.statusText).trim().slice(0, 300);
+        const status = response.status;
+        const transient = TRANSIENT_STATUSES.includes(status);
+        const limit = status === 429 ? this._describeLimit(response, payload) : null;
+
+        let message;
+        if (status === 429) {
+            message = `${label} rate limit reached${limit ? ` (${limit})` : ''}: ${detail}`;
+        } else if (transient) {
+            message = `${label} is temporarily unavailable (${status}): ${detail}`;
+        } else {
+            message = `${label} API error: ${status} - ${detail}`;
+        }
+
+        return new ProviderError(message, {
+            status,
+            transient,
+            retryAfter: this._parseRetryAfter(response, payload),
+            limit
+        });
+    }
+
+    /**
+     * Name the rate limit behind a 429, from Gemini's quota details or
+     * OpenAI-style x-ratelimit headers
+     * @returns {string|null} e.g. "requests per minute, free tier"
+     * @private
+     */
+    _describeLimit(response, payload) {
+        const violation = (payload?.error?.details || [])
+            .find(detail => detail['@type']?.endsWith('QuotaFailure'))?.violations?.[0];
+
+        if (violation) {
+            const quota = violation.quotaId || violation.quotaMetric || '';
+            const unit = /token/i.test(quota) ? 'tokens' : 'requests';
+            const period = /PerDay/i.test(quota) ? ' per day' : /PerMinute/i.test(quota) ? ' per minute' : '';
+            return `${unit}${period}${/FreeTier/i.test(quota) ? ', free tier' : ''}`;
+        }
+
+        const headers = response.headers;
+        if (headers.get('x-ratelimit-remaining-tokens') === '0') return 'tokens';
+        if (headers.get('x-ratelimit-remaining-requests') === '0' || headers.get('x-ratelimit-remaining') === '0') {
+            return 'requests';
+        }
+        return null;
+    }
+
+    /**
+     * Seconds to wait before retrying, from a Retry-After header (seconds or a date)
+     * or Gemini's RetryInfo
+     * @returns {number|null}
+     * @private
+     */
+    _parseRetryAfter(response, payload) {
+        const header = response.headers.get('retry-after');
+        if (header) {
+            const seconds = Number(header);
+            if (!isNaN(seconds)) return Math.max(0, seconds);
+
+            const date = Date.parse(header);
+            if (!isNaN(date)) return Math.max(0, (date - Date.now()) / 1000);
+        }
+
+        const retryInfo = (payload?.error?.details || []).find(detail => detail['@type']?.endsWith('RetryInfo'));
+        const delay = parseFloat(retryInfo?.retryDelay);
+        return isNaN(delay) ? null : delay;
+    }
+
+    /**
+     * Read a streamed response, accumulating text deltas
+     * @param {Response} response - Streaming fetch response
+     * @param {object} options
+     * @param {boolean} options.sse - Server-sent events ("data: ...") vs newline-delimited JSON
+     * @param {function} options.extractDelta - Maps a parsed chunk to its text delta
+     * @param {function} [options.extractUsage] - Maps a parsed chunk to token usage, or null
+     * @param {function} options.onToken - Called with the text so far
+     * @param {function} [options.onUsage] - Called with the last usage reported, once the stream ends
+     * @returns {Promise<string>} Complete text
+     * @private
+     */
+    async _readStream(response, { sse, extractDelta, extractUsage, onToken, onUsage }) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let usage = null;
+
+        const handleLine = (line) => {
+            let payload = line.trim();
+            if (!payload) return;
+
+            if (sse) {
+                // Skip comments/keep-alives and the OpenAI end marker
+                if (!payload.startsWith('data:')) return;
+                payload = payload.slice(5).trim();
+                if (payload === '[DONE]') return;
+            }
+
+            const data = JSON.parse(payload);
+            if (data.error) {
+                throw new Error(`Stream error: ${data.error.message || data.error}`);
+            }
+
+            usage = extractUsage?.(data) || usage;
+
+            const delta = extractDelta(data);
+            if (delta) {
+                text += delta;
+                onToken(text);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+
+        handleLine(buffer + decoder.decode());
+
+        if (!text.trim()) {
+            throw new Error('Stream ended without any content');
+        }
+
+        if (usage) onUsage?.(usage);
+        return text.trim();
+    }
+
+    /**
+     * Token usage from a provider's counts, or null if it didn't send any
+     * @private
+     */
+    _toUsage(promptTokens, completionTokens) {
+        if (typeof promptTokens !== 'number' && typeof completionTokens !== 'number') return null;
+        return { promptTokens: promptTokens || 0, completionTokens: completionTokens || 0 };
+    }
+
+    /**
+     * Test all enabled providers, in the user's order. Providers being skipped
+     * after repeated failures are tested too, which counts as their probe.
      * @returns {Promise<Array>} Test results for each provider
      */
     async testProviders() {
         const results = [];
 
-        for (const provider of this.providers) {
+        for (const provider of await this.getEnabledProviders()) {
             try {
                 const testTranscript = "This is a test video about machine learning and artificial intelligence.";
-                const summary = await this._callProvider(provider, testTranscript);
+                const text = await this._callProvider(provider, this._buildSummaryRequest(testTranscript));
+                const { summary } = SummaryFormat.parse(text);
                 results.push({
                     provider,
+                    name: await this.getProviderLabel(provider),
                     status: 'success',
-                    summary: summary.substring(0, 100) + '...'
+                    summary: summary.join(' ').substring(0, 100) + '...'
                 });
             } catch (error) {
                 results.push({
                     provider,
+                    name: await this.getProviderLabel(provider),
                     status: 'failed',
                     error: error.message
                 });
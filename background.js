@@ -5,19 +5,27 @@
 
 // Import dependencies with error handling
 try {
-    importScripts('cache.js', 'transcript-fetcher.js', 'api-manager.js');
+    importScripts('cache.js', 'transcript-cache.js', 'timestamp-utils.js', 'transcript-fetcher.js', 'transcript-chunker.js', 'summary-format.js', 'prompt-template.js', 'key-store.js', 'settings-transfer.js', 'provider-health.js', 'usage-tracker.js', 'api-manager.js', 'summary-library.js', 'job-queue.js');
     console.log('YouTube Video Summarizer: Dependencies loaded');
 } catch (error) {
     console.error('YouTube Video Summarizer: Failed to load dependencies:', error);
 }
 
 // Initialize managers
-let cache, transcriptFetcher, apiManager;
+let cache, transcriptCache, transcriptFetcher, keyStore, providerHealth, usageTracker, apiManager, library, jobQueue;
 
 try {
     cache = new SummaryCache();
+    transcriptCache = new TranscriptCache();
     transcriptFetcher = new TranscriptFetcher();
-    apiManager = new APIManager();
+    keyStore = new KeyStore();
+    providerHealth = new ProviderHealth();
+    usageTracker = new UsageTracker();
+    apiManager = new APIManager(keyStore, providerHealth, usageTracker);
+    library = new SummaryLibrary();
+    jobQueue = new JobQueue(runSummaryJob, jobs => {
+        chrome.runtime.sendMessage({ action: 'jobsUpdated', jobs }).catch(() => { });
+    });
     console.log('YouTube Video Summarizer: Managers initialized');
 } catch (error) {
     console.error('YouTube Video Summarizer: Failed to initialize:', error);
@@ -30,7 +38,7 @@ let contextMenuVideoTitle = null;
 // ==================== Context Menu Setup ====================
 
 // Create context menu on install
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener((details) => {
     // Create the context menu item
     chrome.contextMenus.create({
         id: 'summarizeVideo',
@@ -39,17 +47,89 @@ chrome.runtime.onInstalled.addListener(() => {
         documentUrlPatterns: ['https://www.youtube.com/*', 'https://m.youtube.com/*']
     });
 
+    // "Summarize as…" submenu with one entry per summary style
+    chrome.contextMenus.create({
+        id: 'summarizeAs',
+        title: 'Summarize as…',
+        contexts: ['link', 'image', 'video'],
+        documentUrlPatterns: ['https://www.youtube.com/*', 'https://m.youtube.com/*']
+    });
+
+    for (const [styleId, style] of Object.entries(SummaryFormat.STYLES)) {
+        chrome.contextMenus.create({
+            id: `summarizeAs:${styleId}`,
+            parentId: 'summarizeAs',
+            title: style.label,
+            contexts: ['link', 'image', 'video'],
+            documentUrlPatterns: ['https://www.youtube.com/*', 'https://m.youtube.com/*']
+        });
+    }
+
+    // Queue a video without cancelling the summary in progress
+    chrome.contextMenus.create({
+        id: 'queueVideo',
+        title: '➕ Add to Summary Queue',
+        contexts: ['link', 'image', 'video'],
+        documentUrlPatterns: ['https://www.youtube.com/*', 'https://m.youtube.com/*']
+    });
+
     console.log('YouTube Video Summarizer: Context menu created');
 
     // Set side panel options
     chrome.sidePanel.setOptions({
         enabled: true
     });
+
+    schedulePurge();
+
+    // Versions before the key store kept API keys in plain text in chrome.storage.sync
+    keyStore.migrate()
+        .catch(error => console.error('API key migration failed:', error));
+
+    // Versions before the library kept the last 10 summaries in recentSummaries
+    if (details.reason === 'update') {
+        library.migrateRecentSummaries()
+            .catch(error => console.error('Library migration failed:', error));
+
+        // and kept prompt templates and prices in chrome.storage.sync, whose items are limited to 8 KB
+        SettingsTransfer.migrateStorage()
+            .catch(error => console.error('Settings migration failed:', error));
+    }
+});
+
+// ==================== Cache Maintenance ====================
+
+const PURGE_ALARM = 'purgeSummaryCache';
+
+// Alarms survive restarts, but not reinstalls or "clear data"
+chrome.runtime.onStartup.addListener(schedulePurge);
+
+/**
+ * Schedule the periodic removal of expired cache entries
+ */
+async function schedulePurge() {
+    const existing = await chrome.alarms.get(PURGE_ALARM);
+    if (!existing) {
+        chrome.alarms.create(PURGE_ALARM, { periodInMinutes: 60 });
+    }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== PURGE_ALARM) return;
+
+    const removed = await cache.purgeExpired() + await transcriptCache.purgeExpired();
+    if (removed > 0) {
+        console.log(`Purged ${removed} expired cache entries`);
+    }
 });
 
 // Handle context menu click
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    if (info.menuItemId === 'summarizeVideo') {
+    const menuItemId = String(info.menuItemId);
+
+    if (menuItemId === 'summarizeVideo' || menuItemId === 'queueVideo' || menuItemId.startsWith('summarizeAs:')) {
+        // Plain "Summarize Video" uses the default style from settings
+        const style = menuItemId.startsWith('summarizeAs:') ? menuItemId.slice('summarizeAs:'.length) : null;
         let videoId = null;
         let title = contextMenuVideoTitle || 'YouTube Video';
 
@@ -66,20 +146,18 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
         if (videoId) {
             console.log('Summarizing video:', videoId, title);
 
-            // Open side panel
+            // Open side panel; it follows the new job unless it is showing one in progress
             await chrome.sidePanel.open({ tabId: tab.id });
 
-            // Short delay to ensure panel is ready
-            await new Promise(resolve => setTimeout(resolve, 300));
-
-            // Send loading state
-            chrome.runtime.sendMessage({
-                action: 'showLoading',
-                title: title
-            }).catch(() => { });
-
-            // Generate summary
-            await generateAndShowSummary(videoId, title);
+            // Summarizing replaces the window's summary in progress; queueing keeps it
+            await jobQueue.add({
+                videoId,
+                title,
+                tabId: tab.id,
+                windowId: tab.windowId,
+                style,
+                explicit: menuItemId === 'queueVideo'
+            });
         } else {
             // Notify no video found
             chrome.runtime.sendMessage({
@@ -111,6 +189,47 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    // Regenerate a summary from the side panel (e.g. in another style)
+    if (request.action === 'summarizeVideo') {
+        queueSummary(request)
+            .then(job => sendResponse({ jobId: job.id }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Summary jobs for the side panel, newest first
+    if (request.action === 'getJobs') {
+        jobQueue.list()
+            .then(jobs => sendResponse({ jobs }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // One job with its result, to open it in the side panel
+    if (request.action === 'getJob') {
+        jobQueue.get(request.jobId)
+            .then(loadJobResult)
+            .then(job => sendResponse({ job }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Cancel a job, or remove a finished one from the list
+    if (request.action === 'removeJob') {
+        jobQueue.remove(request.jobId)
+            .then(cancelled => sendResponse({ cancelled }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Answer a follow-up question about a video
+    if (request.action === 'askQuestion') {
+        handleAskQuestion(request.videoId, request.question, request.history, request.language)
+            .then(sendResponse)
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
     // Test providers
     if (request.action === 'testProviders') {
         apiManager.testProviders()
@@ -127,6 +246,110 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    // Clear cached transcripts
+    if (request.action === 'clearTranscriptCache') {
+        transcriptCache.clear()
+            .then(count => sendResponse({ cleared: count }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Get transcript cache stats
+    if (request.action === 'getTranscriptCacheStats') {
+        transcriptCache.getStats()
+            .then(sendResponse)
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // List cached summary variants of a video (side panel switcher)
+    if (request.action === 'getCachedVariants') {
+        getCachedVariants(request.videoId)
+            .then(variants => sendResponse({ variants }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Whether any enabled provider is set up (popup status)
+    if (request.action === 'checkProviderConfig') {
+        checkProviderConfig()
+            .then(configured => sendResponse({ configured }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Saved API keys (masked) and how they are protected
+    if (request.action === 'getApiKeyStatus') {
+        keyStore.getStatus()
+            .then(sendResponse)
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Save, replace or remove API keys ({[name]: key}; empty removes)
+    if (request.action === 'setApiKeys') {
+        keyStore.set(request.keys || {})
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Switch between a per-install key and a passphrase
+    if (request.action === 'setKeyProtection') {
+        keyStore.setProtection(request)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Unlock passphrase-protected API keys for this browser session
+    if (request.action === 'unlockApiKeys') {
+        keyStore.unlock(request.passphrase)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Settings file for export; API keys are included (encrypted) only with a passphrase
+    if (request.action === 'exportSettings') {
+        exportSettings(request.passphrase)
+            .then(file => sendResponse({ file }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Provider health for the options page, in the user's order
+    if (request.action === 'getProviderHealth') {
+        apiManager.getProviderOrder()
+            .then(order => providerHealth.getStatus(order.map(entry => entry.id)))
+            .then(health => sendResponse({ health }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Try failing providers again right away (e.g. after fixing their settings)
+    if (request.action === 'resetProviderHealth') {
+        providerHealth.reset()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Token usage and budget for the options page
+    if (request.action === 'getUsage') {
+        Promise.all([usageTracker.getEntries(), usageTracker.getBudgetStatus()])
+            .then(([entries, budget]) => sendResponse({ entries, budget }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'clearUsage') {
+        usageTracker.clear()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
     // Get cache stats
     if (request.action === 'getCacheStats') {
         cache.getStats()
@@ -149,87 +372,223 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // ==================== Summary Generation ====================
 
 /**
- * Generate summary and send to side panel
+ * Queue a summary requested from the side panel
+ * @param {object} request - {videoId, title, tabId, windowId, style, language}
+ */
+async function queueSummary(request) {
+    return await jobQueue.add({
+        videoId: request.videoId,
+        title: request.title,
+        tabId: request.tabId,
+        windowId: request.windowId ?? await getTabWindowId(request.tabId),
+        style: request.style,
+        language: request.language
+    });
+}
+
+/**
+ * Run a summary job (see JobQueue), sending its progress and result to the side panel.
+ * Messages carry the job ID, so a panel only shows the job it is following.
+ * Cancelled jobs are neither cached nor shown.
+ * @param {object} job - From JobQueue.add
+ * @param {{signal: AbortSignal, setStatus: function}} control
+ * @returns {Promise<{result: object, comparison: boolean}>} What the panel shows for the job
  */
-async function generateAndShowSummary(videoId, title) {
+async function runSummaryJob(job, { signal, setStatus }) {
+    const { videoId, title, tabId } = job;
+
+    // Nothing from a cancelled job reaches the panel
+    const sendToPanel = (message) => {
+        if (signal.aborted) return;
+        chrome.runtime.sendMessage({ ...message, jobId: job.id }).catch(() => { });
+    };
+
     try {
         // Check for API configuration
         const hasProvider = await checkProviderConfig();
         if (!hasProvider) {
-            chrome.runtime.sendMessage({
-                action: 'showError',
-                error: 'No AI provider configured. Please set up Gemini, DeepSeek, or Ollama in extension settings.'
-            }).catch(() => { });
-            return;
+            throw new Error('No AI provider configured. Please set up and enable Gemini, OpenRouter, DeepSeek, or Ollama in extension settings.');
         }
 
-        // Check cache first
-        const cached = await cache.get(videoId);
-        if (cached) {
-            chrome.runtime.sendMessage({
-                action: 'showSummary',
-                data: {
-                    ...cached,
-                    fromCache: true
+        const settings = await getSummarySettings(job);
+        const onProgress = progress => {
+            sendToPanel({
+                action: 'summaryProgress',
+                progress
+            });
+        };
+
+        // A comparison always asks every provider afresh
+        if (settings.strategy === 'compare') {
+            const comparison = await buildComparison(videoId, title, {
+                ...settings,
+                signal,
+                onProgress,
+                onStatus: setStatus
+            });
+            signal.throwIfAborted();
+
+            for (const result of comparison.results) {
+                if (result.error) continue;
+
+                const { elapsed, ...summary } = result;
+                result.cacheKey = await cache.set(videoId, getCacheVariant(settings, result.provider), summary);
+            }
+
+            // Last the first provider's, so it is the video's latest until the user picks another
+            for (const result of [...comparison.results].reverse()) {
+                if (result.error) continue;
+
+                const { elapsed, ...summary } = result;
+                await saveToLibrary(summary, getCacheVariant(settings, result.provider));
+            }
+
+            const data = { ...comparison, sourceTabId: tabId, budgetWarning: await getBudgetWarning() };
+            sendToPanel({ action: 'showComparison', data });
+            return {
+                result: data,
+                comparison: true,
+                reference: {
+                    videoId,
+                    metadata: comparison.metadata,
+                    sourceTabId: tabId,
+                    results: comparison.results.map(({ provider, providerName, error, elapsed, cacheKey }) =>
+                        error ? { provider, providerName, error, elapsed } : { provider, providerName, elapsed, cacheKey })
                 }
-            }).catch(() => { });
-            return;
+            };
         }
 
-        // Fetch transcript and metadata
-        const [transcriptResult, metadata] = await Promise.all([
-            transcriptFetcher.fetchTranscript(videoId),
-            transcriptFetcher.fetchMetadata(videoId)
-        ]);
+        // Check cache first (a summary in another style, template or language doesn't count)
+        const cached = await findCachedSummary(videoId, settings);
+        if (cached) {
+            await saveToLibrary(cached, getCacheVariant(settings, cached.provider));
 
-        // Build content for AI - use transcript if available, otherwise use title + description
-        let contentForAI;
-        if (transcriptResult.text && transcriptResult.available) {
-            contentForAI = transcriptResult.text;
-            console.log('Using transcript for summary');
-        } else {
-            // Fallback: use title and description
-            const videoTitle = metadata.title || title || 'Unknown video';
-            const videoDescription = metadata.description || '';
-            const channel = metadata.channel || '';
-
-            contentForAI = `VIDEO TITLE: ${videoTitle}\n` +
-                `CHANNEL: ${channel}\n` +
-                `DESCRIPTION: ${videoDescription}\n\n` +
-                `Note: No transcript was available for this video. Please provide a summary based on the title and description above.`;
-            console.log('No transcript available, using title/description');
+            const data = { ...cached, sourceTabId: tabId, fromCache: true };
+            sendToPanel({ action: 'showSummary', data });
+            return { result: data, comparison: false, reference: { cacheKey: cached.cacheKey, sourceTabId: tabId } };
         }
 
-        // Generate summary
-        const { summary, provider } = await apiManager.generateSummary(contentForAI);
-
-        // Build result
-        const result = {
-            summary,
-            provider,
-            metadata: {
-                title: metadata.title || title,
-                channel: metadata.channel,
-                hasTranscript: transcriptResult.available
-            },
-            fromCache: false
-        };
+        // Generate summary, reporting chunk progress and streaming the text as it arrives
+        const result = await buildSummary(videoId, title, {
+            ...settings,
+            signal,
+            onProgress,
+            onStatus: setStatus,
+            onToken: (text, provider) => {
+                sendToPanel({
+                    action: 'summaryStream',
+                    provider,
+                    text
+                });
+            }
+        });
+
+        // Cancelled after the last response arrived
+        signal.throwIfAborted();
 
         // Cache it
-        await cache.set(videoId, result);
+        const cacheKey = await cache.set(videoId, getCacheVariant(settings, result.provider), result);
+        await saveToLibrary({ ...result, cacheKey }, getCacheVariant(settings, result.provider));
+
+        const data = { ...result, cacheKey, sourceTabId: tabId, budgetWarning: await getBudgetWarning() };
+        sendToPanel({ action: 'showSummary', data });
+        return { result: data, comparison: false, reference: { cacheKey, sourceTabId: tabId } };
+
+    } catch (error) {
+        if (signal.aborted) {
+            console.log('Summary cancelled:', videoId);
+        } else {
+            console.error('Summary generation error:', error);
+            sendToPanel({
+                action: 'showError',
+                error: error.message
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Add a finished summary to the library, as one of its video's variants. With
+ * "include transcripts" on, the transcript is stored too when the transcript cache
+ * still has it (it does right after a summary was generated); it is never fetched
+ * again just for the library. Failures are logged: the summary itself is done.
+ * @param {object} summary - Summary data with its cacheKey
+ * @param {object} variant - Generation parameters (see getCacheVariant)
+ */
+async function saveToLibrary(summary, variant) {
+    try {
+        const { libraryIncludeTranscripts } = await chrome.storage.sync.get({ libraryIncludeTranscripts: false });
+        let transcript = null;
+
+        if (libraryIncludeTranscripts) {
+            const cached = await transcriptCache.get(summary.videoId, await getCaptionPreferences());
+            transcript = cached?.transcriptResult.available ? cached.transcriptResult.text : null;
+        }
+
+        await library.save({ ...summary, variant, transcript });
+        chrome.runtime.sendMessage({ action: 'libraryUpdated', videoId: summary.videoId }).catch(() => { });
+    } catch (error) {
+        console.error('Failed to save to library:', error);
+    }
+}
+
+/**
+ * Fill in a finished job's result from the summary cache when the service worker
+ * restarted since (JobQueue keeps results in memory only)
+ * @param {object|null} job - From JobQueue.get
+ * @returns {Promise<object|null>} The job; failed if its summaries are no longer cached
+ */
+async function loadJobResult(job) {
+    if (!job || job.status !== 'done' || job.result || !job.reference) return job;
+
+    const { reference } = job;
+    const expired = { ...job, status: 'failed', error: 'This summary is no longer cached. Summarize the video again.' };
+
+    if (!job.comparison) {
+        const data = reference.cacheKey && await cache.getByKey(reference.cacheKey);
+        return data ? { ...job, result: { ...data, cacheKey: reference.cacheKey, sourceTabId: reference.sourceTabId } } : expired;
+    }
+
+    const results = await Promise.all(reference.results.map(async (item) => {
+        if (item.error) return item;
 
-        // Send to side panel
-        chrome.runtime.sendMessage({
-            action: 'showSummary',
-            data: result
-        }).catch(() => { });
+        const data = item.cacheKey && await cache.getByKey(item.cacheKey);
+        return data
+            ? { ...data, cacheKey: item.cacheKey, elapsed: item.elapsed }
+            : { provider: item.provider, providerName: item.providerName, error: 'No longer cached', elapsed: item.elapsed };
+    }));
+    if (results.every(item => item.error)) return expired;
 
+    return { ...job, result: { videoId: reference.videoId, metadata: reference.metadata, sourceTabId: reference.sourceTabId, results } };
+}
+
+/**
+ * Warning for the side panel once most of the monthly budget is spent
+ * @returns {Promise<string|null>}
+ */
+async function getBudgetWarning() {
+    const { budget, spent, warning, exhausted } = await usageTracker.getBudgetStatus();
+
+    if (exhausted) {
+        return `Your $${budget.toFixed(2)} monthly budget is used up. Paid providers are skipped until next month.`;
+    }
+    if (warning) {
+        return `You have used $${spent.toFixed(2)} of your $${budget.toFixed(2)} monthly budget.`;
+    }
+    return null;
+}
+
+/**
+ * Window a tab belongs to, or null if the tab is unknown or closed
+ */
+async function getTabWindowId(tabId) {
+    if (tabId === undefined || tabId === null) return null;
+
+    try {
+        return (await chrome.tabs.get(tabId)).windowId;
     } catch (error) {
-        console.error('Summary generation error:', error);
-        chrome.runtime.sendMessage({
-            action: 'showError',
-            error: error.message
-        }).catch(() => { });
+        return null;
     }
 }
 
@@ -243,41 +602,300 @@ async function handleGetSummary(videoId) {
             return { error: 'No API providers configured', needsSetup: true };
         }
 
-        const cached = await cache.get(videoId);
+        const settings = await getSummarySettings();
+
+        const cached = await findCachedSummary(videoId, settings);
         if (cached) {
             return { success: true, data: cached, fromCache: true, provider: cached.provider };
         }
 
-        const [transcriptResult, metadata] = await Promise.all([
-            transcriptFetcher.fetchTranscript(videoId),
-            transcriptFetcher.fetchMetadata(videoId)
-        ]);
-
-        const { summary, provider } = await apiManager.generateSummary(transcriptResult.text);
-
-        const result = {
-            summary,
-            provider,
-            metadata: { title: metadata.title, channel: metadata.channel, hasTranscript: transcriptResult.available }
-        };
+        const result = await buildSummary(videoId, null, settings);
 
-        await cache.set(videoId, result);
+        await cache.set(videoId, getCacheVariant(settings, result.provider), result);
 
-        return { success: true, data: result, fromCache: false, provider };
+        return { success: true, data: result, fromCache: false, provider: result.provider };
 
     } catch (error) {
         return { error: error.message };
     }
 }
 
+/**
+ * Fetch transcript and metadata, then generate a summary result
+ * @param {string} videoId - YouTube video ID
+ * @param {string|null} title - Fallback title if metadata has none
+ * @param {object} [options] - Passed through to APIManager.generateSummary
+ * @returns {Promise<object>} Summary result, ready to cache
+ */
+async function buildSummary(videoId, title, options = {}) {
+    const { transcript, summaryOptions, videoMetadata } = await prepareSummary(videoId, title, options);
+
+    // Generate structured summary ("compare" only applies to the side panel; elsewhere it is a cascade)
+    const { provider, providerName, ...structured } = await apiManager.generateSummary(transcript, {
+        ...summaryOptions,
+        strategy: options.strategy
+    });
+
+    return {
+        videoId,
+        ...structured,
+        provider,
+        providerName,
+        metadata: videoMetadata,
+        fromCache: false
+    };
+}
+
+/**
+ * Fetch transcript and metadata, then summarize with every enabled provider
+ * @param {string} videoId - YouTube video ID
+ * @param {string|null} title - Fallback title if metadata has none
+ * @param {object} [options] - Passed through to APIManager.compareSummaries
+ * @returns {Promise<{videoId: string, metadata: object, results: Array<object>}>}
+ *   results: summary results ready to cache, or {provider, providerName, error}; all with elapsed (ms)
+ */
+async function buildComparison(videoId, title, options = {}) {
+    const { transcript, summaryOptions, videoMetadata } = await prepareSummary(videoId, title, options);
+    const results = await apiManager.compareSummaries(transcript, summaryOptions);
+
+    return {
+        videoId,
+        metadata: videoMetadata,
+        results: results.map(result => result.error
+            ? result
+            : { videoId, ...result, metadata: videoMetadata, fromCache: false })
+    };
+}
+
+/**
+ * Load a video's transcript and metadata and build the summary options for APIManager.
+ * options.onStatus('summarizing') is called once the transcript is loaded.
+ */
+async function prepareSummary(videoId, title, options) {
+    const { transcriptResult, metadata, transcript, timestamped } = await loadVideoContent(videoId);
+    await options.onStatus?.('summarizing');
+
+    // Use the transcript if available; otherwise APIManager summarizes from title + description
+    const summaryOptions = {
+        style: options.style,
+        template: options.template,
+        language: options.language,
+        onProgress: options.onProgress,
+        onToken: options.onToken,
+        signal: options.signal,
+        metadata: {
+            title: metadata.title || title,
+            channel: metadata.channel,
+            description: metadata.description,
+            duration: metadata.duration
+        }
+    };
+
+    if (transcript) {
+        summaryOptions.timestamped = timestamped;
+        summaryOptions.chapters = metadata.chapters;
+        console.log('Using transcript for summary');
+    } else {
+        console.log('No transcript available, using title/description');
+    }
+
+    return {
+        transcript,
+        summaryOptions,
+        videoMetadata: {
+            title: metadata.title || title,
+            channel: metadata.channel,
+            hasTranscript: transcriptResult.available,
+            track: transcriptResult.track || null
+        }
+    };
+}
+
+/**
+ * Answer a follow-up question about a video, grounded in its transcript
+ * @param {string} videoId - YouTube video ID
+ * @param {string} question - User question
+ * @param {Array} history - Previous turns [{role: 'user'|'assistant', content}]
+ * @param {string} [language] - Answer language (the summary's language; defaults to the settings choice)
+ */
+async function handleAskQuestion(videoId, question, history = [], language) {
+    const hasProvider = await checkProviderConfig();
+    if (!hasProvider) {
+        return { error: 'No AI provider configured. Please set up and enable Gemini, OpenRouter, DeepSeek, or Ollama in extension settings.' };
+    }
+
+    const { metadata, transcript, timestamped } = await loadVideoContent(videoId);
+
+    const { answer, provider, providerName } = await apiManager.answerQuestion(transcript, question, {
+        history,
+        metadata,
+        timestamped,
+        language: (await getSummarySettings({ language })).language
+    });
+
+    return { success: true, answer, provider, providerName };
+}
+
+/**
+ * Fetch transcript and metadata for a video, or reuse them from the transcript cache
+ * @returns {Promise<object>} Raw results plus the transcript text to send to the AI
+ *   (timestamped "[m:ss] ..." lines when segments are available, null if no transcript)
+ */
+async function loadVideoContent(videoId) {
+    const preferences = await getCaptionPreferences();
+    let { transcriptResult, metadata } = await transcriptCache.get(videoId, preferences) || {};
+
+    if (transcriptResult) {
+        console.log('Using cached transcript');
+    } else {
+        [transcriptResult, metadata] = await Promise.all([
+            transcriptFetcher.fetchTranscript(videoId, preferences),
+            transcriptFetcher.fetchMetadata(videoId)
+        ]);
+
+        // Only keep transcripts we got; a failed fetch looks the same as a video without captions
+        if (transcriptResult.available) {
+            await transcriptCache.set(videoId, preferences, transcriptResult, metadata);
+        }
+    }
+
+    if (!transcriptResult.text || !transcriptResult.available) {
+        return { transcriptResult, metadata, transcript: null, timestamped: false };
+    }
+
+    // Timestamped lines let the model tag sections and cite where things are said
+    const timestampedText = transcriptFetcher.formatTimestampedText(transcriptResult.segments);
+
+    return {
+        transcriptResult,
+        metadata,
+        transcript: timestampedText || transcriptResult.text,
+        timestamped: !!timestampedText
+    };
+}
+
 // ==================== Utilities ====================
 
 /**
- * Check if any provider is configured
+ * Build a settings export file. Keys are decrypted here, in the service worker,
+ * and leave it only re-encrypted with the export passphrase.
+ * @param {string} [passphrase] - Encrypt API keys with it; without one they are left out
+ */
+async function exportSettings(passphrase) {
+    const settings = await SettingsTransfer.load();
+
+    if (passphrase) {
+        for (const name of KeyStore.API_KEY_NAMES) {
+            settings[name] = await keyStore.get(name);
+        }
+        settings.customProviders = await Promise.all((settings.customProviders || []).map(async (instance) => ({
+            ...instance,
+            apiKey: await keyStore.get(`custom:${instance.id}`),
+            headers: { ...instance.headers, ...await keyStore.getHeaders(instance.id) }
+        })));
+    }
+
+    return await SettingsTransfer.export(settings, { passphrase });
+}
+
+/**
+ * Check if any enabled provider is configured
  */
 async function checkProviderConfig() {
-    const storage = await chrome.storage.sync.get(['apiKey', 'openRouterApiKey', 'deepSeekApiKey', 'ollamaUrl']);
-    return !!(storage.apiKey || storage.openRouterApiKey || storage.deepSeekApiKey || storage.ollamaUrl);
+    return await apiManager.hasConfiguredProvider();
+}
+
+/**
+ * Resolve summary settings: explicit overrides, else the defaults from settings
+ * @param {object} [overrides] - {style, language}
+ * @returns {Promise<{style: string, language: string, template: object|null, strategy: string}>}
+ */
+async function getSummarySettings(overrides = {}) {
+    const stored = await chrome.storage.sync.get({
+        summaryStyle: SummaryFormat.DEFAULT_STYLE,
+        outputLanguage: SummaryFormat.DEFAULT_LANGUAGE,
+        activePromptTemplate: '',
+        providerStrategy: 'cascade'
+    });
+    const { promptTemplates } = await chrome.storage.local.get({ promptTemplates: [] });
+
+    return {
+        style: SummaryFormat.getStyle(overrides.style || stored.summaryStyle).id,
+        language: SummaryFormat.getLanguage(overrides.language || stored.outputLanguage),
+        template: promptTemplates.find(template => template.id === stored.activePromptTemplate) || null,
+        strategy: stored.providerStrategy
+    };
+}
+
+/**
+ * Caption track preferences from settings (see TranscriptFetcher.fetchTranscript)
+ */
+async function getCaptionPreferences() {
+    const stored = await chrome.storage.sync.get({
+        captionLanguages: TranscriptFetcher.DEFAULT_CAPTION_LANGUAGES,
+        captionKind: 'manual',
+        translateCaptions: true
+    });
+
+    return {
+        languages: stored.captionLanguages,
+        kind: stored.captionKind,
+        translate: stored.translateCaptions
+    };
+}
+
+/**
+ * Generation parameters a summary is cached under (see SummaryCache.buildKey).
+ * Templates are identified by ID and text, so editing one invalidates its summaries.
+ * @param {object} settings - From getSummarySettings
+ * @param {string} provider - Provider that generated the summary
+ */
+function getCacheVariant(settings, provider) {
+    return {
+        provider,
+        style: settings.style,
+        language: settings.language,
+        template: settings.template ? `${settings.template.id}.${PromptTemplate.getVersion(settings.template)}` : null,
+        templateName: settings.template?.name || null,
+        version: SummaryFormat.PROMPT_VERSION
+    };
+}
+
+/**
+ * Find a cached summary made with the requested settings by an enabled
+ * provider, preferring providers earlier in the fallback order
+ * @returns {Promise<object|null>} Cached summary (with its cacheKey) or null
+ */
+async function findCachedSummary(videoId, settings) {
+    const providers = await apiManager.getEnabledProviders();
+    const wanted = getCacheVariant(settings, null);
+
+    const matches = (await cache.getVariants(videoId))
+        .filter(({ variant }) =>
+            providers.includes(variant.provider) &&
+            variant.style === wanted.style &&
+            variant.language === wanted.language &&
+            (variant.template || null) === wanted.template &&
+            variant.version === wanted.version
+        )
+        .sort((a, b) => providers.indexOf(a.variant.provider) - providers.indexOf(b.variant.provider));
+
+    if (matches.length === 0) return null;
+
+    await cache.touch([matches[0].key]);
+    return { ...matches[0].data, cacheKey: matches[0].key };
+}
+
+/**
+ * Cached summary variants of a video made with the current prompt version
+ * @returns {Promise<Array<{cacheKey: string, cachedAt: number, variant: object, data: object}>>}
+ */
+async function getCachedVariants(videoId) {
+    const variants = await cache.getVariants(videoId);
+
+    return variants
+        .filter(({ variant }) => variant.version === SummaryFormat.PROMPT_VERSION)
+        .map(({ key, cachedAt, variant, data }) => ({ cacheKey: key, cachedAt, variant, data }));
 }
 
 /**
@@ -1,20 +1,145 @@
 /**
  * Cache utility for storing and retrieving video summaries
  * Uses chrome.storage.local with TTL support
+ * A video can have several cached variants, keyed by the parameters they were
+ * generated with (provider, style, language, prompt template, prompt version)
+ *
+ * An index of entries (video, size, last access, expiry) is kept under its own
+ * key so stats, eviction and purging don't have to load every summary.
+ * StorageCache holds that logic, so the transcript cache can share it.
  */
 
 const CACHE_PREFIX = 'yt_summary_';
 const DEFAULT_TTL_HOURS = 168; // 7 days
 
-class SummaryCache {
+// Separates the video ID from the generation parameters in a key
+const VARIANT_SEPARATOR = '::';
+
+// Index of cache entries: {[key]: {videoId, bytes, lastAccess, expiresAt}}
+const CACHE_INDEX_KEY = 'summaryCacheIndex';
+
+// Defaults for the user-configurable limits (cacheMaxEntries, cacheMaxMB in sync storage).
+// chrome.storage.local holds 10 MB in total, shared with transcripts and settings.
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_MB = 5;
+
+// Left free for settings, the usage log and other data when budgeting the caches
+const STORAGE_RESERVED_BYTES = 1024 * 1024;
+
+// Caches sharing chrome.storage.local; a full quota is freed from all of them
+const storageCaches = [];
+
+class StorageCache {
+  /**
+   * @param {object} options
+   * @param {string} options.prefix - Storage key prefix of the entries
+   * @param {string} options.indexKey - Storage key of the index
+   * @param {string} options.label - Name used in log messages
+   */
+  constructor({ prefix, indexKey, label }) {
+    this.prefix = prefix;
+    this.indexKey = indexKey;
+    this.label = label;
+
+    // Serializes index read-modify-write cycles
+    this.indexQueue = Promise.resolve();
+
+    storageCaches.push(this);
+  }
+
   /**
-   * Get a cached summary by video ID
+   * Build a storage key: prefix, video ID, then the parameters the entry depends on
+   * @param {string} prefix - Key prefix
    * @param {string} videoId - YouTube video ID
-   * @returns {Promise<object|null>} Cached summary or null if not found/expired
+   * @param {string[]} params
+   * @returns {string}
+   */
+  static buildKey(prefix, videoId, params) {
+    return prefix + videoId + VARIANT_SEPARATOR + params.join('|');
+  }
+
+  /**
+   * Remove expired entries (run periodically from a chrome.alarms alarm)
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeExpired() {
+    try {
+      const index = await this._getIndex();
+      const now = Date.now();
+      const expired = Object.keys(index).filter(key => index[key].expiresAt && now > index[key].expiresAt);
+
+      if (expired.length > 0) {
+        await this._remove(expired);
+      }
+
+      return expired.length;
+    } catch (error) {
+      console.error(`${this.label} purge error:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Clear all entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    try {
+      const items = await chrome.storage.local.get(null);
+      const keysToRemove = Object.keys(items).filter(key =>
+        key.startsWith(this.prefix)
+      );
+
+      await chrome.storage.local.remove(keysToRemove);
+      await this._updateIndex(index => {
+        for (const key of Object.keys(index)) {
+          delete index[key];
+        }
+      });
+
+      return keysToRemove.length;
+    } catch (error) {
+      console.error(`${this.label} clear error:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get cache statistics, including bytes used against the limit and
+   * the extension's storage quota
+   * @returns {Promise<object>} cachesBytes: bytes of every cache in storage (summaries and transcripts)
    */
-  async get(videoId) {
-    const key = CACHE_PREFIX + videoId;
+  async getStats() {
+    try {
+      const index = await this._getIndex();
+      const limits = await this._getLimits();
+      const stats = this._summarize(index);
+      let cachesBytes = 0;
+      for (const cache of storageCaches) {
+        cachesBytes += cache === this ? stats.bytes : cache._summarize(await cache._getIndex()).bytes;
+      }
+
+      return {
+        ...stats,
+        maxEntries: limits.maxEntries,
+        maxBytes: limits.maxBytes,
+        cachesBytes,
+        bytesInUse: await chrome.storage.local.getBytesInUse(null),
+        quotaBytes: chrome.storage.local.QUOTA_BYTES
+      };
+    } catch (error) {
+      console.error(`${this.label} stats error:`, error);
+      return { total: 0, valid: 0, expired: 0, bytes: 0 };
+    }
+  }
 
+  /**
+   * Read an entry, removing it if expired and marking it as used otherwise
+   * @param {string} key - Storage key
+   * @returns {Promise<object|null>} The stored entry, or null if not found/expired
+   * @private
+   */
+  async _read(key) {
     try {
       const result = await chrome.storage.local.get(key);
       const cached = result[key];
@@ -25,101 +150,360 @@ class SummaryCache {
 
       // Check if expired
       if (cached.expiresAt && Date.now() > cached.expiresAt) {
-        await this.delete(videoId);
+        await this._remove([key]);
         return null;
       }
 
-      return cached.data;
+      await this._touch([key]);
+      return cached;
     } catch (error) {
-      console.error('Cache get error:', error);
+      console.error(`${this.label} get error:`, error);
       return null;
     }
   }
 
   /**
-   * Store a summary in cache
+   * Store an entry, evicting the least recently used entries when over the
+   * limits or the storage quota
+   * @param {string} key - Storage key
    * @param {string} videoId - YouTube video ID
-   * @param {object} data - Summary data to cache
+   * @param {object} fields - Data to store; expiresAt and cachedAt are added
    * @param {number} ttlHours - Time to live in hours
+   * @returns {Promise<string|null>} The key, or null if it could not be stored
+   * @private
    */
-  async set(videoId, data, ttlHours = DEFAULT_TTL_HOURS) {
-    const key = CACHE_PREFIX + videoId;
-    const expiresAt = Date.now() + (ttlHours * 60 * 60 * 1000);
+  async _write(key, videoId, fields, ttlHours) {
+    const now = Date.now();
+    const entry = {
+      ...fields,
+      expiresAt: now + (ttlHours * 60 * 60 * 1000),
+      cachedAt: now
+    };
+    const bytes = this._measure(key, entry);
 
     try {
-      await chrome.storage.local.set({
-        [key]: {
-          data,
-          expiresAt,
-          cachedAt: Date.now()
+      const limits = await this._getLimits();
+      if (bytes > limits.maxBytes) {
+        console.warn(`${this.label} set skipped: entry (${bytes} bytes) is larger than the cache limit`);
+        return null;
+      }
+
+      // Make room first, so the write itself doesn't push storage over quota
+      await this._evict(limits, bytes, key);
+
+      try {
+        await chrome.storage.local.set({ [key]: entry });
+      } catch (error) {
+        // Storage is full (e.g. other data grew): free a quarter of every cache and retry once
+        console.warn(`${this.label} write failed, evicting and retrying:`, error.message);
+        for (const cache of storageCaches) {
+          await (cache === this ? cache._shrink(bytes, key) : cache._shrink(0, null));
         }
+        await chrome.storage.local.set({ [key]: entry });
+      }
+
+      await this._updateIndex(index => {
+        index[key] = { videoId, bytes, lastAccess: now, expiresAt: entry.expiresAt };
       });
+
+      return key;
     } catch (error) {
-      console.error('Cache set error:', error);
+      console.error(`${this.label} set error:`, error);
+      return null;
     }
   }
 
   /**
-   * Delete a cached summary
-   * @param {string} videoId - YouTube video ID
+   * Count entries and bytes in an index
+   * @private
    */
-  async delete(videoId) {
-    const key = CACHE_PREFIX + videoId;
+  _summarize(index) {
+    const now = Date.now();
+    const entries = Object.values(index);
+    const valid = entries.filter(entry => !entry.expiresAt || now <= entry.expiresAt);
 
-    try {
-      await chrome.storage.local.remove(key);
-    } catch (error) {
-      console.error('Cache delete error:', error);
+    return {
+      total: entries.length,
+      valid: valid.length,
+      expired: entries.length - valid.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0)
+    };
+  }
+
+  /**
+   * Remove expired entries, then least recently used ones, until an entry of
+   * incomingBytes fits within the limits. The entry being replaced is not counted.
+   * @private
+   */
+  async _evict(limits, incomingBytes, incomingKey) {
+    const index = await this._getIndex();
+    const now = Date.now();
+    const keys = Object.keys(index).filter(key => key !== incomingKey);
+
+    // Expired first, then oldest access first (entries indexed by older versions have no lastAccess)
+    keys.sort((a, b) => {
+      const expiredA = index[a].expiresAt && now > index[a].expiresAt ? 0 : 1;
+      const expiredB = index[b].expiresAt && now > index[b].expiresAt ? 0 : 1;
+      return expiredA - expiredB || (index[a].lastAccess || 0) - (index[b].lastAccess || 0);
+    });
+
+    let count = keys.length + 1;
+    let bytes = keys.reduce((sum, key) => sum + index[key].bytes, 0) + incomingBytes;
+    const toRemove = [];
+
+    for (const key of keys) {
+      const expired = index[key].expiresAt && now > index[key].expiresAt;
+      if (!expired && count <= limits.maxEntries && bytes <= limits.maxBytes) break;
+
+      toRemove.push(key);
+      count--;
+      bytes -= index[key].bytes;
+    }
+
+    if (toRemove.length > 0) {
+      console.log(`${this.label} evicting ${toRemove.length} entries`);
+      await this._remove(toRemove);
     }
   }
 
   /**
-   * Clear all cached summaries
+   * Evict until the cache, with an incoming entry, holds at most three quarters of its current bytes
+   * @private
    */
-  async clear() {
+  async _shrink(incomingBytes, incomingKey) {
+    const limits = await this._getLimits();
+    const stats = this._summarize(await this._getIndex());
+    await this._evict({ ...limits, maxBytes: Math.floor(stats.bytes * 0.75) }, incomingBytes, incomingKey);
+  }
+
+  /**
+   * Remove entries from storage and the index
+   * @private
+   */
+  async _remove(keys) {
+    await chrome.storage.local.remove(keys);
+    await this._updateIndex(index => {
+      for (const key of keys) {
+        delete index[key];
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _touch(keys) {
+    const now = Date.now();
+    await this._updateIndex(index => {
+      for (const key of keys) {
+        if (index[key]) index[key].lastAccess = now;
+      }
+    });
+  }
+
+  /**
+   * Load the index, rebuilding it from storage if missing
+   * (first run after an update, or after storage was cleared elsewhere)
+   * @private
+   */
+  async _getIndex() {
+    const result = await chrome.storage.local.get(this.indexKey);
+    if (result[this.indexKey]) {
+      return result[this.indexKey];
+    }
+
+    const items = await chrome.storage.local.get(null);
+    const index = {};
+
+    for (const [key, value] of Object.entries(items)) {
+      if (!key.startsWith(this.prefix)) continue;
+
+      index[key] = {
+        videoId: key.slice(this.prefix.length).split(VARIANT_SEPARATOR)[0],
+        bytes: this._measure(key, value),
+        lastAccess: value.cachedAt || 0,
+        expiresAt: value.expiresAt || null
+      };
+    }
+
+    await chrome.storage.local.set({ [this.indexKey]: index });
+    return index;
+  }
+
+  /**
+   * Apply a change to the index; changes run one at a time
+   * @private
+   */
+  _updateIndex(mutate) {
+    const update = this.indexQueue.then(async () => {
+      const index = await this._getIndex();
+      mutate(index);
+      await chrome.storage.local.set({ [this.indexKey]: index });
+    });
+
+    // Keep the queue going even if this update fails
+    this.indexQueue = update.catch(() => { });
+    return update;
+  }
+
+  /**
+   * Cache limits; subclasses provide them
+   * @returns {Promise<{maxEntries: number, maxBytes: number}>}
+   * @private
+   */
+  async _getLimits() {
+    throw new Error('_getLimits() not implemented');
+  }
+
+  /**
+   * Approximate stored size of an entry (storage counts key + JSON value)
+   * @private
+   */
+  _measure(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+}
+
+class SummaryCache extends StorageCache {
+  constructor() {
+    super({ prefix: CACHE_PREFIX, indexKey: CACHE_INDEX_KEY, label: 'Cache' });
+  }
+
+  /**
+   * Build the storage key for one variant of a video's summary
+   * @param {string} videoId - YouTube video ID
+   * @param {object} variant - Generation parameters: {provider, style, language, template, version}
+   * @returns {string}
+   */
+  static buildKey(videoId, variant) {
+    const params = [variant.provider, variant.style, variant.language, variant.template || 'builtin', `v${variant.version}`];
+    return StorageCache.buildKey(CACHE_PREFIX, videoId, params);
+  }
+
+  /**
+   * Get a cached summary variant
+   * @param {string} videoId - YouTube video ID
+   * @param {object} variant - Generation parameters (see buildKey)
+   * @returns {Promise<object|null>} Cached summary or null if not found/expired
+   */
+  async get(videoId, variant) {
+    return await this.getByKey(SummaryCache.buildKey(videoId, variant));
+  }
+
+  /**
+   * Get a cached summary by its cache key (as returned by set)
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cached summary or null if not found/expired
+   */
+  async getByKey(key) {
+    const cached = await this._read(key);
+    return cached ? cached.data : null;
+  }
+
+  /**
+   * Get every cached variant of a video's summary, newest first.
+   * Removes expired variants and entries from before keys had variants.
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Array<{key: string, variant: object, data: object, cachedAt: number}>>}
+   */
+  async getVariants(videoId) {
     try {
-      const items = await chrome.storage.local.get(null);
-      const keysToRemove = Object.keys(items).filter(key =>
-        key.startsWith(CACHE_PREFIX)
-      );
+      const index = await this._getIndex();
+      const now = Date.now();
+      const keys = Object.keys(index).filter(key => index[key].videoId === videoId);
+      const isStale = key => !key.includes(VARIANT_SEPARATOR) || (index[key].expiresAt && now > index[key].expiresAt);
+      const stale = keys.filter(isStale);
+      const live = keys.filter(key => !isStale(key));
 
-      if (keysToRemove.length > 0) {
-        await chrome.storage.local.remove(keysToRemove);
+      if (stale.length > 0) {
+        await this._remove(stale);
+      }
+      if (live.length === 0) {
+        return [];
       }
 
-      return keysToRemove.length;
+      const items = await chrome.storage.local.get(live);
+
+      return live
+        .filter(key => items[key])
+        .map(key => ({ key, variant: items[key].variant || {}, data: items[key].data, cachedAt: items[key].cachedAt }))
+        .sort((a, b) => b.cachedAt - a.cachedAt);
     } catch (error) {
-      console.error('Cache clear error:', error);
-      return 0;
+      console.error('Cache variants error:', error);
+      return [];
     }
   }
 
   /**
-   * Get cache statistics
+   * Mark variants as used, so LRU eviction keeps them longer
+   * @param {string[]} keys - Cache keys
    */
-  async getStats() {
+  async touch(keys) {
     try {
-      const items = await chrome.storage.local.get(null);
-      const cacheItems = Object.entries(items)
-        .filter(([key]) => key.startsWith(CACHE_PREFIX))
-        .map(([, value]) => value);
+      await this._touch(keys);
+    } catch (error) {
+      console.error('Cache touch error:', error);
+    }
+  }
 
-      const now = Date.now();
-      const valid = cacheItems.filter(item =>
-        !item.expiresAt || now <= item.expiresAt
-      );
+  /**
+   * Store a summary variant in cache, evicting the least recently used
+   * entries when over the configured limits or the storage quota
+   * @param {string} videoId - YouTube video ID
+   * @param {object} variant - Generation parameters (see buildKey)
+   * @param {object} data - Summary data to cache
+   * @param {number} ttlHours - Time to live in hours
+   * @returns {Promise<string|null>} Cache key, or null if it could not be stored
+   */
+  async set(videoId, variant, data, ttlHours = DEFAULT_TTL_HOURS) {
+    return await this._write(SummaryCache.buildKey(videoId, variant), videoId, { data, variant }, ttlHours);
+  }
 
-      return {
-        total: cacheItems.length,
-        valid: valid.length,
-        expired: cacheItems.length - valid.length
-      };
+  /**
+   * Delete all cached variants of a video's summary
+   * @param {string} videoId - YouTube video ID
+   */
+  async delete(videoId) {
+    try {
+      const index = await this._getIndex();
+      const keys = Object.keys(index).filter(key => index[key].videoId === videoId);
+
+      if (keys.length > 0) {
+        await this._remove(keys);
+      }
     } catch (error) {
-      console.error('Cache stats error:', error);
-      return { total: 0, valid: 0, expired: 0 };
+      console.error('Cache delete error:', error);
     }
   }
+
+  /**
+   * Summary cache limits from settings
+   * @returns {Promise<{maxEntries: number, maxBytes: number}>}
+   */
+  static async getLimits() {
+    const { cacheMaxEntries, cacheMaxMB } = await chrome.storage.sync.get({
+      cacheMaxEntries: DEFAULT_MAX_ENTRIES,
+      cacheMaxMB: DEFAULT_MAX_MB
+    });
+
+    return {
+      maxEntries: cacheMaxEntries,
+      maxBytes: cacheMaxMB * 1024 * 1024
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _getLimits() {
+    return await SummaryCache.getLimits();
+  }
 }
 
+SummaryCache.DEFAULT_MAX_ENTRIES = DEFAULT_MAX_ENTRIES;
+SummaryCache.DEFAULT_MAX_MB = DEFAULT_MAX_MB;
+StorageCache.RESERVED_BYTES = STORAGE_RESERVED_BYTES;
+
 // Export for service worker
+self.StorageCache = StorageCache;
 self.SummaryCache = SummaryCache;
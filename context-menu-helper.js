@@ -40,6 +40,21 @@ document.addEventListener('contextmenu', (event) => {
     }
 }, { passive: true });
 
+// Seek the player when a timestamp is clicked in the side panel
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'seekTo') return false;
+
+    const video = document.querySelector('video');
+    if (video && extractVideoId(location.href) === message.videoId) {
+        video.currentTime = message.seconds;
+        video.play().catch(() => { });
+        sendResponse({ ok: true });
+    } else {
+        sendResponse({ ok: false });
+    }
+    return false;
+});
+
 /**
  * Find the thumbnail link ancestor
  */
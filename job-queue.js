@@ -0,0 +1,247 @@
+/**
+ * Job Queue - summarize requests, run a few at a time in the service worker
+ *
+ * Every request becomes a job with an ID and a status: queued, fetching (transcript),
+ * summarizing, done or failed. A new summary cancels the unfinished jobs of its window,
+ * except those the user added explicitly ("Add to Summary Queue"), as before the queue.
+ * Job details are kept in chrome.storage.session, so the side panel can still list them
+ * after the service worker restarts; jobs that were still running at that point are marked
+ * as failed. Results are only kept in memory: session storage is small, so a finished job
+ * stores a reference to its result (e.g. a cache key) to look it up again after a restart.
+ */
+
+const JOBS_STORAGE_KEY = 'summaryJobs';
+const DEFAULT_JOB_CONCURRENCY = 2;
+
+// Finished jobs kept; older ones are dropped
+const MAX_FINISHED_JOBS = 20;
+
+const UNFINISHED_STATUSES = ['queued', 'fetching', 'summarizing'];
+
+class JobQueue {
+    /**
+     * @param {function} run - Runs a job: (job, {signal, setStatus}) => Promise<{result, comparison, reference}>.
+     *   setStatus('summarizing') reports that the transcript is loaded; throwing fails the job.
+     *   reference: small, storable stand-in for the result, used once the result is gone from memory
+     * @param {function} onChange - Called with list() whenever a job is added, changes status or is removed
+     */
+    constructor(run, onChange) {
+        this.run = run;
+        this.onChange = onChange;
+
+        // In the order added
+        this.jobs = [];
+
+        // Running jobs: job ID -> AbortController
+        this.controllers = new Map();
+
+        // Results of finished jobs: job ID -> result
+        this.results = new Map();
+
+        this.ready = this._restore();
+    }
+
+    /**
+     * Queue a summary; it starts as soon as fewer jobs than the concurrency limit are running
+     * @param {object} request - {videoId, title, tabId, windowId, style, language, explicit}
+     *   explicit: added to the queue on purpose; neither cancels nor is cancelled by other jobs
+     * @returns {Promise<object>} The new job
+     */
+    async add(request) {
+        await this.ready;
+
+        if (!request.explicit) {
+            const replaced = this.jobs.filter(job => job.windowId === (request.windowId ?? null) &&
+                !job.explicit && UNFINISHED_STATUSES.includes(job.status));
+            for (const job of replaced) {
+                this.controllers.get(job.id)?.abort();
+                this.controllers.delete(job.id);
+            }
+            this.jobs = this.jobs.filter(job => !replaced.includes(job));
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            videoId: request.videoId,
+            title: request.title || null,
+            tabId: request.tabId ?? null,
+            windowId: request.windowId ?? null,
+            style: request.style || null,
+            language: request.language || null,
+            explicit: !!request.explicit,
+            status: 'queued',
+            error: null,
+            comparison: false,
+            reference: null,
+            createdAt: Date.now(),
+            finishedAt: null
+        };
+
+        this.jobs.push(job);
+        await this._changed();
+        this._startNext().catch(error => console.error('Failed to start jobs:', error));
+
+        return job;
+    }
+
+    /**
+     * All jobs without their results, newest first
+     * @returns {Promise<Array<object>>}
+     */
+    async list() {
+        await this.ready;
+        return this.jobs.map(job => ({ ...job })).reverse();
+    }
+
+    /**
+     * A job with its result
+     * @param {string} id - Job ID
+     * @returns {Promise<object|null>} result is null if unfinished, failed, or lost in a
+     *   service worker restart (then look it up with the job's reference)
+     */
+    async get(id) {
+        await this.ready;
+
+        const job = this.jobs.find(item => item.id === id);
+        return job ? { ...job, result: this.results.get(id) || null } : null;
+    }
+
+    /**
+     * Remove a job from the list, cancelling it if it hasn't finished
+     * @param {string} id - Job ID
+     * @returns {Promise<boolean>} Whether the job was cancelled
+     */
+    async remove(id) {
+        await this.ready;
+
+        const job = this.jobs.find(item => item.id === id);
+        if (!job) return false;
+
+        const cancelled = UNFINISHED_STATUSES.includes(job.status);
+        this.controllers.get(id)?.abort();
+        this.controllers.delete(id);
+        this.results.delete(id);
+        this.jobs = this.jobs.filter(item => item !== job);
+
+        await this._changed();
+        this._startNext().catch(error => console.error('Failed to start jobs:', error));
+
+        return cancelled;
+    }
+
+    /**
+     * Start queued jobs, oldest first, up to the concurrency limit
+     * @private
+     */
+    async _startNext() {
+        const limit = await this._getConcurrency();
+
+        // No awaits from here on, so concurrent calls can't both take the last slot
+        let running = this.jobs.filter(job => job.status === 'fetching' || job.status === 'summarizing').length;
+        for (const job of this.jobs) {
+            if (running >= limit) break;
+            if (job.status !== 'queued') continue;
+
+            job.status = 'fetching';
+            running++;
+            this._start(job).catch(error => console.error('Job failed to finish:', error));
+        }
+    }
+
+    /**
+     * Run one job and record its outcome. Whatever fails, the job ends up done or failed
+     * and its concurrency slot goes to the next one.
+     * @private
+     */
+    async _start(job) {
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+
+        try {
+            // Progress isn't stored: unfinished jobs can't be resumed after a restart anyway
+            await this._changed(false);
+
+            const { result, comparison, reference } = await this.run(job, {
+                signal: controller.signal,
+                setStatus: async (status) => {
+                    if (controller.signal.aborted || job.status === status) return;
+                    job.status = status;
+                    await this._changed(false);
+                }
+            });
+
+            if (controller.signal.aborted) return;
+            this.results.set(job.id, result);
+            Object.assign(job, { status: 'done', comparison: !!comparison, reference: reference || null });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            Object.assign(job, { status: 'failed', error: error.message });
+        } finally {
+            if (this.controllers.get(job.id) === controller) {
+                this.controllers.delete(job.id);
+            }
+        }
+
+        job.finishedAt = Date.now();
+        try {
+            await this._changed();
+        } finally {
+            this._startNext().catch(error => console.error('Failed to start jobs:', error));
+        }
+    }
+
+    /**
+     * Drop the oldest finished jobs, store the list and report the change
+     * @param {boolean} [persist] - Store the list (jobs were added, finished or removed)
+     * @private
+     */
+    async _changed(persist = true) {
+        const finished = this.jobs.filter(job => !UNFINISHED_STATUSES.includes(job.status));
+        const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)));
+        dropped.forEach(job => this.results.delete(job.id));
+        this.jobs = this.jobs.filter(job => !dropped.has(job));
+
+        if (persist) {
+            try {
+                await chrome.storage.session.set({ [JOBS_STORAGE_KEY]: this.jobs });
+            } catch (error) {
+                console.error('Failed to store jobs:', error);
+            }
+        }
+
+        // Reporting is best effort; it must not fail the job
+        try {
+            await this.onChange(await this.list());
+        } catch (error) {
+            console.error('Failed to report job change:', error);
+        }
+    }
+
+    /**
+     * Load jobs from an earlier service worker; unfinished ones can't be resumed
+     * @private
+     */
+    async _restore() {
+        try {
+            const result = await chrome.storage.session.get(JOBS_STORAGE_KEY);
+            this.jobs = (result[JOBS_STORAGE_KEY] || []).map(job => UNFINISHED_STATUSES.includes(job.status)
+                ? { ...job, status: 'failed', error: 'Interrupted when the extension restarted', finishedAt: Date.now() }
+                : job);
+        } catch (error) {
+            console.error('Failed to load jobs:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _getConcurrency() {
+        const { jobConcurrency } = await chrome.storage.sync.get({ jobConcurrency: DEFAULT_JOB_CONCURRENCY });
+        return jobConcurrency;
+    }
+}
+
+JobQueue.DEFAULT_CONCURRENCY = DEFAULT_JOB_CONCURRENCY;
+
+// Export for service worker
+self.JobQueue = JobQueue;
@@ -0,0 +1,408 @@
+/**
+ * Key Store - API keys encrypted with WebCrypto (AES-GCM), used only by the service worker
+ *
+ * Keys are kept as one encrypted vault, named by setting ("apiKey", "openRouterApiKey",
+ * "deepSeekApiKey") or "custom:<id>" for OpenAI-compatible providers, whose secret extra headers
+ * (e.g. Authorization) are saved as "custom:<id>:header:<name>". The vault key is either:
+ * - a per-install key: random and non-extractable, kept in IndexedDB (default), or
+ * - derived from a passphrase (PBKDF2); the derived key is kept in chrome.storage.session,
+ *   so keys are locked again after a browser restart until the passphrase is entered.
+ *
+ * The vault is stored in chrome.storage.local, or in chrome.storage.sync when the user
+ * opts in (passphrase only, since a per-install key doesn't exist on other devices).
+ */
+
+const KEY_VAULT_STORAGE_KEY = 'apiKeyVault';
+const KEY_VAULT_SESSION_KEY = 'apiKeyVaultKey';
+const KEY_VAULT_VERSION = 1;
+const KEY_VAULT_KDF_ITERATIONS = 250000;
+
+const INSTALL_KEY_DB_NAME = 'keyStore';
+const INSTALL_KEY_STORE = 'keys';
+
+// Built-in provider keys, named after their old chrome.storage.sync settings
+const API_KEY_NAMES = ['apiKey', 'openRouterApiKey', 'deepSeekApiKey'];
+
+class KeyStore {
+    constructor() {
+        // Serializes vault read-modify-write cycles
+        this.queue = Promise.resolve();
+        this.dbPromise = null;
+    }
+
+    /**
+     * Get a decrypted API key
+     * @param {string} name - e.g. "apiKey" or "custom:<id>"
+     * @returns {Promise<string>} The key, or '' if none is saved
+     * @throws {Error} If the keys are locked
+     */
+    async get(name) {
+        const vault = await this._loadVault();
+        if (!vault || !vault.names.includes(name)) return '';
+
+        const keys = await this._decryptVault(vault);
+        return keys[name] || '';
+    }
+
+    /**
+     * Get the decrypted secret headers of an OpenAI-compatible provider
+     * @param {string} id - Instance ID (without "custom:")
+     * @returns {Promise<object>} {[header name]: value}
+     * @throws {Error} If the keys are locked
+     */
+    async getHeaders(id) {
+        const prefix = `custom:${id}:header:`;
+        const vault = await this._loadVault();
+        if (!vault || !vault.names.some(name => name.startsWith(prefix))) return {};
+
+        const headers = {};
+        for (const [name, value] of Object.entries(await this._decryptVault(vault))) {
+            if (name.startsWith(prefix)) headers[name.slice(prefix.length)] = value;
+        }
+        return headers;
+    }
+
+    /**
+     * Whether a key is saved (works while locked)
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async has(name) {
+        const vault = await this._loadVault();
+        return !!vault?.names.includes(name);
+    }
+
+    /**
+     * Save, replace or remove keys
+     * @param {object} changes - {[name]: key}; an empty key or null removes it
+     */
+    async set(changes) {
+        await this._withVault(async (vault) => {
+            const keys = vault ? await this._decryptVault(vault) : {};
+
+            for (const [name, value] of Object.entries(changes)) {
+                if (value) {
+                    keys[name] = value;
+                } else {
+                    delete keys[name];
+                }
+            }
+
+            return await this._encryptVault(keys, vault || { mode: 'install', sync: false });
+        });
+    }
+
+    /**
+     * Protection state for the options page. Keys are shown masked, never in full.
+     * @returns {Promise<{mode: string, sync: boolean, locked: boolean, keys: object}>}
+     *   keys: {[name]: masked key}
+     */
+    async getStatus() {
+        const vault = await this._loadVault();
+        if (!vault) {
+            return { mode: 'install', sync: false, locked: false, keys: {} };
+        }
+
+        const locked = !(await this._getVaultKey(vault));
+        const keys = {};
+
+        if (locked) {
+            vault.names.forEach(name => { keys[name] = '••••'; });
+        } else {
+            for (const [name, value] of Object.entries(await this._decryptVault(vault))) {
+                keys[name] = value.length > 8 ? `••••${value.slice(-4)}` : '••••';
+            }
+        }
+
+        return { mode: vault.mode, sync: vault.sync, locked, keys };
+    }
+
+    /**
+     * Re-encrypt the keys with a per-install key or a passphrase
+     * @param {object} protection
+     * @param {string} protection.mode - 'install' or 'passphrase'
+     * @param {string} [protection.passphrase] - Required for 'passphrase'
+     * @param {boolean} [protection.sync] - Store the vault in chrome.storage.sync (passphrase only)
+     */
+    async setProtection({ mode, passphrase, sync }) {
+        if (mode === 'passphrase' && (!passphrase || passphrase.length < 8)) {
+            throw new Error('The passphrase must be at least 8 characters');
+        }
+
+        await this._withVault(async (vault) => {
+            const keys = vault ? await this._decryptVault(vault) : {};
+
+            if (mode === 'passphrase') {
+                const salt = crypto.getRandomValues(new Uint8Array(16));
+                await this._storeSessionKey(await this._derivePassphraseKey(passphrase, salt, KEY_VAULT_KDF_ITERATIONS));
+
+                return await this._encryptVault(keys, {
+                    mode,
+                    sync: !!sync,
+                    salt: this._toBase64(salt),
+                    iterations: KEY_VAULT_KDF_ITERATIONS
+                });
+            }
+
+            await chrome.storage.session.remove(KEY_VAULT_SESSION_KEY);
+            return await this._encryptVault(keys, { mode: 'install', sync: false });
+        });
+    }
+
+    /**
+     * Unlock passphrase-protected keys for this browser session
+     * @param {string} passphrase
+     * @throws {Error} If the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        const vault = await this._loadVault();
+        if (!vault || vault.mode !== 'passphrase') return;
+
+        const key = await this._derivePassphraseKey(passphrase, this._fromBase64(vault.salt), vault.iterations);
+
+        try {
+            await this._decrypt(vault, await this._importSessionKey(key));
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+
+        await this._storeSessionKey(key);
+    }
+
+    /**
+     * Move plaintext keys and secret custom headers from chrome.storage.sync (older versions)
+     * into the vault. Safe to call more than once.
+     * @returns {Promise<number>} Number of keys migrated
+     */
+    async migrate() {
+        const stored = await chrome.storage.sync.get([...API_KEY_NAMES, 'customProviders']);
+        const customProviders = Array.isArray(stored.customProviders) ? stored.customProviders : [];
+        const isSecretHeader = name => SettingsTransfer.SECRET_HEADER_PATTERN.test(name);
+        const changes = {};
+
+        for (const name of API_KEY_NAMES) {
+            if (stored[name]) changes[name] = stored[name];
+        }
+        for (const instance of customProviders) {
+            if (instance?.apiKey) changes[`custom:${instance.id}`] = instance.apiKey;
+            for (const [name, value] of Object.entries(instance?.headers || {})) {
+                if (isSecretHeader(name) && value) changes[`custom:${instance.id}:header:${name}`] = value;
+            }
+        }
+
+        const count = Object.keys(changes).length;
+        if (count === 0) return 0;
+
+        await this.set(changes);
+
+        // Only drop the plaintext copies once the vault is written
+        await chrome.storage.sync.remove(API_KEY_NAMES);
+        if (customProviders.some(instance => instance?.apiKey ||
+            Object.keys(instance?.headers || {}).some(isSecretHeader))) {
+            await chrome.storage.sync.set({
+                customProviders: customProviders.map(({ apiKey, ...instance }) => ({
+                    ...instance,
+                    headers: Object.fromEntries(Object.entries(instance.headers || {})
+                        .filter(([name]) => !isSecretHeader(name)))
+                }))
+            });
+        }
+
+        console.log(`Migrated ${count} API keys to encrypted storage`);
+        return count;
+    }
+
+    /**
+     * Run a vault change; changes run one at a time
+     * @private
+     */
+    _withVault(update) {
+        const run = this.queue.then(async () => {
+            const vault = await this._loadVault();
+            const next = await update(vault);
+            await this._saveVault(next, vault);
+        });
+
+        // Keep the queue going even if this change fails
+        this.queue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * @private
+     */
+    async _loadVault() {
+        const local = await chrome.storage.local.get(KEY_VAULT_STORAGE_KEY);
+        if (local[KEY_VAULT_STORAGE_KEY]) return local[KEY_VAULT_STORAGE_KEY];
+
+        const synced = await chrome.storage.sync.get(KEY_VAULT_STORAGE_KEY);
+        return synced[KEY_VAULT_STORAGE_KEY] || null;
+    }
+
+    /**
+     * Write the vault to local or sync storage, removing it from the other one
+     * @private
+     */
+    async _saveVault(vault, previous) {
+        const [target, other] = vault.sync
+            ? [chrome.storage.sync, chrome.storage.local]
+            : [chrome.storage.local, chrome.storage.sync];
+
+        await target.set({ [KEY_VAULT_STORAGE_KEY]: vault });
+        if (previous && previous.sync !== vault.sync) {
+            await other.remove(KEY_VAULT_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Encrypt keys into a vault with the given protection settings
+     * @private
+     */
+    async _encryptVault(keys, protection) {
+        const vault = { ...protection, version: KEY_VAULT_VERSION, names: Object.keys(keys) };
+        const key = await this._getVaultKey(vault, true);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(keys))
+        );
+
+        return { ...vault, iv: this._toBase64(iv), data: this._toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * @private
+     */
+    async _decryptVault(vault) {
+        const key = await this._getVaultKey(vault);
+        if (!key) {
+            throw new Error('API keys are locked. Enter your passphrase in the extension settings to unlock them.');
+        }
+
+        try {
+            return await this._decrypt(vault, key);
+        } catch (error) {
+            throw new Error('Saved API keys could not be decrypted. Please enter them again in the extension settings.');
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _decrypt(vault, key) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this._fromBase64(vault.iv) },
+            key,
+            this._fromBase64(vault.data)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * Key for a vault: the per-install key, or the passphrase key of this session
+     * @param {object} vault
+     * @param {boolean} [create] - Create the per-install key if there is none
+     * @returns {Promise<CryptoKey|null>} null if passphrase-protected and locked
+     * @private
+     */
+    async _getVaultKey(vault, create = false) {
+        if (vault.mode === 'passphrase') {
+            const session = await chrome.storage.session.get(KEY_VAULT_SESSION_KEY);
+            return session[KEY_VAULT_SESSION_KEY]
+                ? await this._importSessionKey(this._fromBase64(session[KEY_VAULT_SESSION_KEY]))
+                : null;
+        }
+
+        const db = await this._openKeyDb();
+        const existing = await this._keyDbRequest(db, 'readonly', store => store.get('install'));
+        if (existing || !create) return existing || null;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await this._keyDbRequest(db, 'readwrite', store => store.put(key, 'install'));
+        return key;
+    }
+
+    /**
+     * Raw AES key bytes derived from a passphrase
+     * @private
+     */
+    async _derivePassphraseKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * @private
+     */
+    async _importSessionKey(raw) {
+        return await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Remember a passphrase key until the browser closes
+     * @private
+     */
+    async _storeSessionKey(raw) {
+        await chrome.storage.session.set({ [KEY_VAULT_SESSION_KEY]: this._toBase64(raw) });
+    }
+
+    /**
+     * @private
+     */
+    _openKeyDb() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(INSTALL_KEY_DB_NAME, 1);
+
+                request.onupgradeneeded = () => request.result.createObjectStore(INSTALL_KEY_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * @private
+     */
+    _keyDbRequest(db, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(INSTALL_KEY_STORE, mode);
+            const request = makeRequest(transaction.objectStore(INSTALL_KEY_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    /**
+     * @private
+     */
+    _fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+KeyStore.API_KEY_NAMES = API_KEY_NAMES;
+
+// Export for service worker
+self.KeyStore = KeyStore;
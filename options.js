@@ -2,10 +2,68 @@
  * Options page script for YouTube Video Summarizer
  */
 
+// Default fallback order (mirrors APIManager)
+const DEFAULT_PROVIDER_ORDER = ['gemini', 'openrouter', 'deepseek', 'local'];
+
+const PROVIDER_LABELS = {
+    gemini: 'Gemini',
+    openrouter: 'OpenRouter',
+    deepseek: 'DeepSeek',
+    local: 'Local Model (Ollama)'
+};
+
+// OpenAI-compatible instances are identified as "custom:<id>"
+const CUSTOM_PROVIDER_PREFIX = 'custom:';
+
+// Secret extra headers are saved as API keys named "custom:<id>:header:<name>" (mirrors KeyStore)
+const CUSTOM_HEADER_INFIX = ':header:';
+
+// Default request timeouts in seconds (mirrors APIManager)
+const DEFAULT_PROVIDER_TIMEOUTS = {
+    gemini: 60,
+    openrouter: 60,
+    deepseek: 60,
+    local: 180
+};
+const DEFAULT_CUSTOM_PROVIDER_TIMEOUT = 120;
+
+// Summaries run at the same time by default (mirrors JobQueue)
+const DEFAULT_JOB_CONCURRENCY = 2;
+
+// Provider order being edited: [{id, enabled}]
+let providerOrder = [];
+
+// Request timeouts being edited: {[providerId]: seconds}; missing means the default
+let providerTimeouts = {};
+
+// OpenAI-compatible instances being edited: [{id, name, baseUrl, apiKey, model, headers}]
+// (apiKey is only a newly typed key; saved keys stay in the service worker)
+let customProviders = [];
+
+// Prompt templates being edited: [{id, name, system, prompt}]
+let promptTemplates = [];
+
+// Model prices being edited: [{model, input, output}] in USD per million tokens
+let modelPrices = [];
+
+// Usage history from the service worker: [{date, provider, model, requests, promptTokens, completionTokens, cost, priced}]
+let usageEntries = [];
+
+// Saved API keys as reported by the service worker: {mode, sync, locked, keys: {[name]: masked}}
+let keyStatus = { mode: 'install', sync: false, locked: false, keys: {} };
+
+// Saved API keys marked for removal on the next save
+const removedKeys = new Set();
+
+// Settings file being imported: {fileName, settings, encryptedSecrets, secrets, warnings, merged}
+let pendingImport = null;
+
 // Load saved settings
 document.addEventListener('DOMContentLoaded', async () => {
     await loadSettings();
     await loadCacheStats();
+    await loadProviderHealth();
+    await loadUsage();
 });
 
 // Save button
@@ -14,8 +72,67 @@ document.getElementById('saveBtn').addEventListener('click', saveSettings);
 // Test providers button
 document.getElementById('testProvidersBtn').addEventListener('click', testProviders);
 
+// Provider health
+document.getElementById('resetHealthBtn').addEventListener('click', resetProviderHealth);
+
 // Clear cache button
 document.getElementById('clearCacheBtn').addEventListener('click', clearCache);
+document.getElementById('clearTranscriptCacheBtn').addEventListener('click', clearTranscriptCache);
+
+// Reorder / enable providers
+document.getElementById('providerOrderList').addEventListener('click', handleProviderOrderClick);
+document.getElementById('providerOrderList').addEventListener('change', handleProviderToggle);
+document.getElementById('providerOrderList').addEventListener('input', handleProviderTimeoutInput);
+
+// OpenAI-compatible providers
+document.getElementById('addCustomProviderBtn').addEventListener('click', addCustomProvider);
+document.getElementById('customProvidersList').addEventListener('click', handleCustomProviderClick);
+document.getElementById('customProvidersList').addEventListener('change', () => {
+    // Keep names in the provider order list in sync
+    customProviders = collectCustomProviders().instances;
+    renderProviderOrder();
+});
+
+// Prompt templates
+document.getElementById('addPromptTemplateBtn').addEventListener('click', addPromptTemplate);
+document.getElementById('promptTemplatesList').addEventListener('click', handlePromptTemplateClick);
+document.getElementById('promptTemplatesList').addEventListener('change', () => {
+    // Keep names in the template dropdown in sync
+    promptTemplates = collectPromptTemplates().templates;
+    renderTemplateSelect(document.getElementById('activePromptTemplate').value);
+});
+
+// Model prices
+document.getElementById('addModelPriceBtn').addEventListener('click', addModelPrice);
+document.getElementById('modelPricesList').addEventListener('click', handleModelPriceClick);
+
+// Usage dashboard
+document.getElementById('usageRange').addEventListener('change', renderUsage);
+document.getElementById('usageGroup').addEventListener('change', renderUsage);
+document.getElementById('clearUsageBtn').addEventListener('click', clearUsage);
+
+// Settings export/import
+document.getElementById('exportSecrets').addEventListener('change', (event) => {
+    document.getElementById('exportPassphrase').style.display = event.target.value === 'encrypt' ? 'block' : 'none';
+});
+document.getElementById('exportSettingsBtn').addEventListener('click', exportSettings);
+document.getElementById('importSettingsBtn').addEventListener('click', () => {
+    document.getElementById('importSettingsFile').click();
+});
+document.getElementById('importSettingsFile').addEventListener('change', importSettings);
+document.getElementById('importPreview').addEventListener('click', handleImportPreviewClick);
+
+// API key protection
+document.getElementById('keyProtection').addEventListener('change', renderKeyProtection);
+document.getElementById('applyKeyProtectionBtn').addEventListener('click', applyKeyProtection);
+document.getElementById('unlockKeysBtn').addEventListener('click', unlockApiKeys);
+document.addEventListener('click', (event) => {
+    const button = event.target.closest('.remove-key-btn');
+    if (!button) return;
+
+    removedKeys.add(button.dataset.key);
+    renderApiKeyFields();
+});
 
 /**
  * Load settings from storage
@@ -23,22 +140,66 @@ document.getElementById('clearCacheBtn').addEventListener('click', clearCache);
 async function loadSettings() {
     try {
         const result = await chrome.storage.sync.get({
-            apiKey: '',
-            openRouterApiKey: '',
             openRouterModel: '',
-            deepSeekApiKey: '',
             ollamaUrl: '',
             ollamaModel: 'llama3.2',
-            hoverDelay: 500
+            hoverDelay: 500,
+            cacheMaxEntries: 500,
+            cacheMaxMB: 5,
+            captionLanguages: ['en'],
+            captionKind: 'manual',
+            translateCaptions: true,
+            libraryIncludeTranscripts: false,
+            summaryStyle: SummaryFormat.DEFAULT_STYLE,
+            outputLanguage: SummaryFormat.DEFAULT_LANGUAGE,
+            providerOrder: null,
+            providerTimeouts: {},
+            providerStrategy: 'cascade',
+            jobConcurrency: DEFAULT_JOB_CONCURRENCY,
+            customProviders: [],
+            activePromptTemplate: '',
+            monthlyBudget: 0
         });
+        const local = await chrome.storage.local.get({ promptTemplates: [], modelPrices: null });
 
-        document.getElementById('apiKey').value = result.apiKey;
-        document.getElementById('openRouterApiKey').value = result.openRouterApiKey;
+        await loadKeyStatus();
         document.getElementById('openRouterModel').value = result.openRouterModel;
-        document.getElementById('deepSeekApiKey').value = result.deepSeekApiKey;
         document.getElementById('ollamaUrl').value = result.ollamaUrl;
         document.getElementById('ollamaModel').value = result.ollamaModel;
         document.getElementById('hoverDelay').value = result.hoverDelay;
+        document.getElementById('cacheMaxEntries').value = result.cacheMaxEntries;
+        document.getElementById('cacheMaxMB').value = result.cacheMaxMB;
+
+        document.getElementById('captionLanguages').value = result.captionLanguages.join(', ');
+        document.getElementById('captionKind').value = result.captionKind;
+        document.getElementById('translateCaptions').checked = result.translateCaptions;
+        document.getElementById('libraryIncludeTranscripts').checked = result.libraryIncludeTranscripts;
+
+        renderSummaryStyles(result.summaryStyle);
+        renderOutputLanguages(result.outputLanguage);
+
+        promptTemplates = local.promptTemplates;
+        renderPromptTemplates();
+        renderTemplateSelect(result.activePromptTemplate);
+        document.getElementById('templateVariables').innerHTML = Object.entries(PromptTemplate.VARIABLES)
+            .map(([name, description]) => `<code title="${escapeHtml(description)}">{${name}}</code>`)
+            .join(', ');
+
+        customProviders = result.customProviders.map(({ apiKey, ...instance }) => withSavedSecretHeaders({ ...instance, apiKey: '' }));
+        renderCustomProviders();
+        renderApiKeyFields();
+        document.getElementById('keyProtection').value = keyStatus.mode;
+        renderKeyProtection();
+
+        providerOrder = normalizeProviderOrder(result.providerOrder);
+        providerTimeouts = { ...result.providerTimeouts };
+        renderProviderOrder();
+        document.getElementById('providerStrategy').value = result.providerStrategy;
+        document.getElementById('jobConcurrency').value = result.jobConcurrency;
+
+        modelPrices = Array.isArray(local.modelPrices) ? local.modelPrices : UsageTracker.DEFAULT_MODEL_PRICES;
+        renderModelPrices();
+        document.getElementById('monthlyBudget').value = result.monthlyBudget || '';
 
     } catch (error) {
         console.error('Failed to load settings:', error);
@@ -57,30 +218,170 @@ async function saveSettings() {
     const ollamaUrl = document.getElementById('ollamaUrl').value.trim();
     const ollamaModel = document.getElementById('ollamaModel').value.trim() || 'llama3.2';
     const hoverDelay = parseInt(document.getElementById('hoverDelay').value);
+    const cacheMaxEntries = parseInt(document.getElementById('cacheMaxEntries').value);
+    const cacheMaxMB = parseInt(document.getElementById('cacheMaxMB').value);
+    const captionLanguages = parseLanguageCodes(document.getElementById('captionLanguages').value);
+    const captionKind = document.getElementById('captionKind').value === 'asr' ? 'asr' : 'manual';
+    const translateCaptions = document.getElementById('translateCaptions').checked;
+    const libraryIncludeTranscripts = document.getElementById('libraryIncludeTranscripts').checked;
+    const summaryStyle = SummaryFormat.getStyle(document.getElementById('summaryStyle').value).id;
+    const outputLanguage = SummaryFormat.getLanguage(document.getElementById('outputLanguage').value);
+    const providerStrategy = document.getElementById('providerStrategy').value;
+    const jobConcurrency = parseInt(document.getElementById('jobConcurrency').value);
+    const monthlyBudgetText = document.getElementById('monthlyBudget').value.trim();
+    const monthlyBudget = monthlyBudgetText ? parseFloat(monthlyBudgetText) : 0;
+
+    const collected = collectCustomProviders();
+    if (collected.error) {
+        showStatus(collected.error, 'error');
+        return;
+    }
+    customProviders = collected.instances;
+    providerOrder = normalizeProviderOrder(providerOrder);
+
+    const collectedTemplates = collectPromptTemplates();
+    if (collectedTemplates.error) {
+        showStatus(collectedTemplates.error, 'error');
+        return;
+    }
+    promptTemplates = collectedTemplates.templates;
+
+    const collectedPrices = collectModelPrices();
+    if (collectedPrices.error) {
+        showStatus(collectedPrices.error, 'error');
+        return;
+    }
+    modelPrices = collectedPrices.prices;
+
+    if (isNaN(monthlyBudget) || monthlyBudget < 0 || monthlyBudget > 100000) {
+        showStatus('Monthly budget must be between 0 and 100000 USD', 'error');
+        return;
+    }
+
+    const selectedTemplate = document.getElementById('activePromptTemplate').value;
+    const activePromptTemplate = promptTemplates.some(template => template.id === selectedTemplate) ? selectedTemplate : '';
+
+    // Typed keys replace saved ones; keys of removed providers are dropped
+    const keyChanges = {};
+    for (const [name, value] of [['apiKey', apiKey], ['openRouterApiKey', openRouterApiKey], ['deepSeekApiKey', deepSeekApiKey]]) {
+        if (value || removedKeys.has(name)) keyChanges[name] = value;
+    }
+    for (const instance of customProviders) {
+        const name = CUSTOM_PROVIDER_PREFIX + instance.id;
+        if (instance.apiKey || removedKeys.has(name)) keyChanges[name] = instance.apiKey;
+    }
+    Object.assign(keyChanges, getCustomProviderKeyChanges(customProviders));
+    const hasKey = name => name in keyChanges ? !!keyChanges[name] : !!keyStatus.keys[name];
 
     // Validate that at least one provider is configured
-    if (!apiKey && !openRouterApiKey && !deepSeekApiKey && !ollamaUrl) {
+    const hasCustomProvider = customProviders.some(instance => instance.baseUrl);
+    if (!hasKey('apiKey') && !hasKey('openRouterApiKey') && !hasKey('deepSeekApiKey') && !ollamaUrl && !hasCustomProvider) {
         showStatus('Please configure at least one AI provider', 'error');
         return;
     }
 
+    if (keyStatus.locked && Object.keys(keyChanges).length > 0) {
+        showStatus('Unlock your API keys with your passphrase before changing them', 'error');
+        return;
+    }
+
+    if (!providerOrder.some(entry => entry.enabled)) {
+        showStatus('Please enable at least one AI provider', 'error');
+        return;
+    }
+
+    // Timeouts of removed providers are dropped
+    const timeouts = {};
+    for (const { id } of providerOrder) {
+        if (!(id in providerTimeouts)) continue;
+
+        const seconds = providerTimeouts[id];
+        if (!Number.isInteger(seconds) || seconds < 5 || seconds > 600) {
+            showStatus(`${getProviderLabel(id)} timeout must be between 5 and 600 seconds`, 'error');
+            return;
+        }
+        timeouts[id] = seconds;
+    }
+
+    if (!captionLanguages) {
+        showStatus('Caption languages must be language codes separated by commas, e.g. "en, de, pt-BR"', 'error');
+        return;
+    }
+
+    if (isNaN(jobConcurrency) || jobConcurrency < 1 || jobConcurrency > 5) {
+        showStatus('Concurrent summaries must be between 1 and 5', 'error');
+        return;
+    }
+
     // Validate hover delay
     if (isNaN(hoverDelay) || hoverDelay < 100 || hoverDelay > 2000) {
         showStatus('Hover delay must be between 100 and 2000 milliseconds', 'error');
         return;
     }
 
+    // Validate cache limits (local storage holds 10 MB in total)
+    if (isNaN(cacheMaxEntries) || cacheMaxEntries < 10 || cacheMaxEntries > 5000) {
+        showStatus('Cache limit must be between 10 and 5000 summaries', 'error');
+        return;
+    }
+
+    if (isNaN(cacheMaxMB) || cacheMaxMB < 1 || cacheMaxMB > 9) {
+        showStatus('Cache size limit must be between 1 and 9 MB', 'error');
+        return;
+    }
+
     try {
-        await chrome.storage.sync.set({
-            apiKey: apiKey,
-            openRouterApiKey: openRouterApiKey,
+        // Must run before any other await so the click still counts as a user gesture
+        const accessGranted = await requestCustomProviderAccess(customProviders);
+
+        await SettingsTransfer.store({
             openRouterModel: openRouterModel,
-            deepSeekApiKey: deepSeekApiKey,
             ollamaUrl: ollamaUrl,
             ollamaModel: ollamaModel,
-            hoverDelay: hoverDelay
+            hoverDelay: hoverDelay,
+            cacheMaxEntries: cacheMaxEntries,
+            cacheMaxMB: cacheMaxMB,
+            captionLanguages: captionLanguages,
+            captionKind: captionKind,
+            translateCaptions: translateCaptions,
+            libraryIncludeTranscripts: libraryIncludeTranscripts,
+            summaryStyle: summaryStyle,
+            outputLanguage: outputLanguage,
+            providerOrder: providerOrder,
+            providerTimeouts: timeouts,
+            providerStrategy: providerStrategy,
+            jobConcurrency: jobConcurrency,
+            customProviders: customProviders.map(withoutSecrets),
+            promptTemplates: promptTemplates,
+            activePromptTemplate: activePromptTemplate,
+            modelPrices: modelPrices,
+            monthlyBudget: monthlyBudget
         });
 
+        if (Object.keys(keyChanges).length > 0) {
+            const response = await chrome.runtime.sendMessage({ action: 'setApiKeys', keys: keyChanges });
+            if (response.error) {
+                showStatus(`Settings saved, but API keys were not: ${response.error}`, 'error');
+                return;
+            }
+        }
+
+        // Providers skipped after failures may work with the new settings
+        await chrome.runtime.sendMessage({ action: 'resetProviderHealth' });
+        await loadProviderHealth();
+        await loadUsage();
+
+        removedKeys.clear();
+        await loadKeyStatus();
+        customProviders = customProviders.map(instance => withSavedSecretHeaders({ ...instance, apiKey: '' }));
+        renderCustomProviders();
+        renderApiKeyFields();
+
+        if (!accessGranted) {
+            showStatus('Settings saved, but host access was denied - OpenAI-compatible providers may fail to connect', 'error');
+            return;
+        }
+
         showStatus('Settings saved successfully!', 'success');
 
     } catch (error) {
@@ -89,6 +390,856 @@ async function saveSettings() {
     }
 }
 
+/**
+ * Fill the default summary style dropdown
+ */
+function renderSummaryStyles(selected) {
+    const current = SummaryFormat.getStyle(selected).id;
+
+    document.getElementById('summaryStyle').innerHTML = Object.entries(SummaryFormat.STYLES)
+        .map(([id, style]) =>
+            `<option value="${id}" ${id === current ? 'selected' : ''}>${escapeHtml(style.label)}</option>`
+        )
+        .join('');
+}
+
+/**
+ * Parse a comma-separated list of language codes
+ * @returns {string[]|null} Codes (default ['en'] if empty), or null if one is malformed
+ */
+function parseLanguageCodes(text) {
+    const codes = text.split(',').map(code => code.trim()).filter(Boolean);
+
+    if (codes.some(code => !/^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(code))) {
+        return null;
+    }
+
+    return codes.length > 0 ? [...new Set(codes)] : ['en'];
+}
+
+/**
+ * Fill the summary language dropdown
+ */
+function renderOutputLanguages(selected) {
+    const current = SummaryFormat.getLanguage(selected);
+
+    document.getElementById('outputLanguage').innerHTML = Object.entries(SummaryFormat.LANGUAGES)
+        .map(([code, name]) =>
+            `<option value="${code}" ${code === current ? 'selected' : ''}>${escapeHtml(name)}</option>`
+        )
+        .join('');
+}
+
+/**
+ * Fill the active prompt template dropdown
+ */
+function renderTemplateSelect(selected) {
+    const select = document.getElementById('activePromptTemplate');
+
+    select.innerHTML = '<option value="">Built-in (uses the summary style)</option>' +
+        promptTemplates.map((template, index) =>
+            `<option value="${escapeHtml(template.id)}" ${template.id === selected ? 'selected' : ''}>` +
+            `${escapeHtml(template.name || `Template ${index + 1}`)}</option>`
+        ).join('');
+}
+
+/**
+ * Render the prompt template cards
+ */
+function renderPromptTemplates() {
+    const list = document.getElementById('promptTemplatesList');
+
+    list.innerHTML = promptTemplates.map((template, index) => `
+      <div class="prompt-template" data-id="${escapeHtml(template.id)}">
+        <div class="custom-provider-header">
+          <input type="text" data-field="name" placeholder="Name (e.g. Architecture focus)" value="${escapeHtml(template.name)}">
+          <button type="button" class="secondary preview-template-btn" data-index="${index}">Preview</button>
+          <button type="button" class="secondary remove-template-btn" data-index="${index}">Remove</button>
+        </div>
+
+        <label>System Message (optional)</label>
+        <textarea data-field="system" placeholder="You are a senior engineer summarizing technical talks.">${escapeHtml(template.system)}</textarea>
+
+        <label>Prompt</label>
+        <textarea data-field="prompt" placeholder="Summarize {title} by {channel}, focusing on architecture decisions.&#10;&#10;Transcript:&#10;{transcript}&#10;&#10;{format}">${escapeHtml(template.prompt)}</textarea>
+
+        <div class="template-preview" style="display: none;"></div>
+      </div>
+    `).join('');
+}
+
+/**
+ * Read prompt templates from the form
+ * @returns {{templates: Array, error: string|null}}
+ */
+function collectPromptTemplates() {
+    const templates = [];
+    let error = null;
+
+    document.querySelectorAll('#promptTemplatesList .prompt-template').forEach((card, index) => {
+        const field = name => card.querySelector(`[data-field="${name}"]`).value.trim();
+        const template = {
+            id: card.dataset.id,
+            name: field('name') || `Template ${index + 1}`,
+            system: field('system'),
+            prompt: field('prompt')
+        };
+
+        if (!error) {
+            error = PromptTemplate.validate(template);
+        }
+
+        templates.push(template);
+    });
+
+    return { templates, error };
+}
+
+/**
+ * Add a prompt template card, prefilled with a starting point
+ */
+function addPromptTemplate() {
+    promptTemplates = [
+        ...collectPromptTemplates().templates,
+        {
+            id: Date.now().toString(36),
+            name: '',
+            system: '',
+            prompt: 'Summarize the YouTube video "{title}" by {channel} ({duration}) in {language}.\n\n' +
+                'Transcript:\n{transcript}\n\n{format}'
+        }
+    ];
+    renderPromptTemplates();
+    renderTemplateSelect(document.getElementById('activePromptTemplate').value);
+}
+
+/**
+ * Preview or remove a prompt template
+ */
+function handlePromptTemplateClick(event) {
+    const previewButton = event.target.closest('.preview-template-btn');
+    if (previewButton) {
+        showTemplatePreview(previewButton.closest('.prompt-template'));
+        return;
+    }
+
+    const removeButton = event.target.closest('.remove-template-btn');
+    if (!removeButton) return;
+
+    const selected = document.getElementById('activePromptTemplate').value;
+    promptTemplates = collectPromptTemplates().templates;
+    promptTemplates.splice(Number(removeButton.dataset.index), 1);
+    renderPromptTemplates();
+    renderTemplateSelect(selected);
+}
+
+/**
+ * Show a template filled in against the sample transcript
+ */
+function showTemplatePreview(card) {
+    const field = name => card.querySelector(`[data-field="${name}"]`).value.trim();
+    const template = { name: field('name'), system: field('system'), prompt: field('prompt') };
+    const preview = card.querySelector('.template-preview');
+
+    const error = PromptTemplate.validate(template);
+    const { system, prompt } = PromptTemplate.preview(template, {
+        style: document.getElementById('summaryStyle').value,
+        language: document.getElementById('outputLanguage').value
+    });
+
+    preview.innerHTML =
+        (error ? `<div style="color: #ff8a80; margin-bottom: 8px;">⚠️ ${escapeHtml(error)}</div>` : '') +
+        `<span class="template-preview-label">SYSTEM:</span>\n` +
+        `${system ? escapeHtml(system) : '(built-in system message)'}\n\n` +
+        `<span class="template-preview-label">USER:</span>\n${escapeHtml(prompt)}`;
+    preview.style.display = 'block';
+}
+
+/**
+ * Render the model price rows
+ */
+function renderModelPrices() {
+    const list = document.getElementById('modelPricesList');
+
+    list.innerHTML = modelPrices.map((price, index) => `
+      <div class="price-row">
+        <input type="text" data-field="model" placeholder="Model (e.g. deepseek-chat)" value="${escapeHtml(price.model)}">
+        <input type="number" data-field="input" min="0" step="0.01" title="Input (prompt) tokens" placeholder="Input" value="${price.input}">
+        <input type="number" data-field="output" min="0" step="0.01" title="Output (completion) tokens" placeholder="Output" value="${price.output}">
+        <button type="button" class="secondary remove-price-btn" data-index="${index}">Remove</button>
+      </div>
+    `).join('');
+}
+
+/**
+ * Read model prices from the form; rows without a model name are dropped
+ * @returns {{prices: Array, error: string|null}}
+ */
+function collectModelPrices() {
+    const prices = [];
+    let error = null;
+
+    document.querySelectorAll('#modelPricesList .price-row').forEach(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+        const model = field('model');
+        if (!model) return;
+
+        const price = { model, input: parseFloat(field('input') || '0'), output: parseFloat(field('output') || '0') };
+        if (!error && (!(price.input >= 0) || !(price.output >= 0))) {
+            error = `Prices for ${model} must be zero or more`;
+        }
+        if (!error && prices.some(entry => entry.model === model)) {
+            error = `${model} has more than one price`;
+        }
+
+        prices.push(price);
+    });
+
+    return { prices, error };
+}
+
+/**
+ * Add an empty model price row
+ */
+function addModelPrice() {
+    modelPrices = [...collectModelPrices().prices, { model: '', input: 0, output: 0 }];
+    renderModelPrices();
+    document.querySelector('#modelPricesList .price-row:last-child input').focus();
+}
+
+/**
+ * Remove a model price row
+ */
+function handleModelPriceClick(event) {
+    const removeButton = event.target.closest('.remove-price-btn');
+    if (!removeButton) return;
+
+    // Keep unnamed rows so indexes still match the rendered list
+    modelPrices = Array.from(document.querySelectorAll('#modelPricesList .price-row'), row => ({
+        model: row.querySelector('[data-field="model"]').value.trim(),
+        input: parseFloat(row.querySelector('[data-field="input"]').value) || 0,
+        output: parseFloat(row.querySelector('[data-field="output"]').value) || 0
+    }));
+    modelPrices.splice(Number(removeButton.dataset.index), 1);
+    renderModelPrices();
+}
+
+/**
+ * Fill in providers missing from a stored order, enabled, at the end
+ */
+function normalizeProviderOrder(order) {
+    const known = [
+        ...DEFAULT_PROVIDER_ORDER,
+        ...customProviders.map(instance => CUSTOM_PROVIDER_PREFIX + instance.id)
+    ];
+
+    const normalized = (Array.isArray(order) ? order : [])
+        .filter(entry => known.includes(entry?.id))
+        .map(entry => ({ id: entry.id, enabled: entry.enabled !== false }));
+
+    for (const id of known) {
+        if (!normalized.some(entry => entry.id === id)) {
+            normalized.push({ id, enabled: true });
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Render the reorderable provider list
+ */
+function renderProviderOrder() {
+    const list = document.getElementById('providerOrderList');
+
+    list.innerHTML = providerOrder.map((entry, index) => `
+      <div class="provider-row ${entry.enabled ? '' : 'disabled'}">
+        <input type="checkbox" data-index="${index}" ${entry.enabled ? 'checked' : ''}
+          title="Enable ${escapeHtml(getProviderLabel(entry.id))}">
+        <span class="provider-name">${index + 1}. ${escapeHtml(getProviderLabel(entry.id))}</span>
+        <input type="number" class="timeout-input" data-id="${escapeHtml(entry.id)}" min="5" max="600" step="5"
+          value="${providerTimeouts[entry.id] ?? ''}" placeholder="${getDefaultTimeout(entry.id)}"
+          title="Timeout in seconds (default: ${getDefaultTimeout(entry.id)})">
+        <span class="timeout-unit">s</span>
+        <button type="button" class="order-btn" data-index="${index}" data-move="-1"
+          ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+        <button type="button" class="order-btn" data-index="${index}" data-move="1"
+          ${index === providerOrder.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+      </div>
+    `).join('');
+}
+
+/**
+ * Request timeout used when none is set, in seconds
+ */
+function getDefaultTimeout(id) {
+    return DEFAULT_PROVIDER_TIMEOUTS[id] || DEFAULT_CUSTOM_PROVIDER_TIMEOUT;
+}
+
+/**
+ * Display name for a provider ID
+ */
+function getProviderLabel(id) {
+    if (id.startsWith(CUSTOM_PROVIDER_PREFIX)) {
+        const instance = customProviders.find(entry => CUSTOM_PROVIDER_PREFIX + entry.id === id);
+        return `${instance?.name || 'OpenAI-compatible'} (OpenAI-compatible)`;
+    }
+    return PROVIDER_LABELS[id] || id;
+}
+
+/**
+ * Ask the service worker which API keys are saved (masked) and how they are protected
+ */
+async function loadKeyStatus() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getApiKeyStatus' });
+        if (response.error) throw new Error(response.error);
+        keyStatus = response;
+    } catch (error) {
+        console.error('Failed to load API key status:', error);
+    }
+}
+
+/**
+ * Show saved keys as placeholders (never their values) with a remove button
+ */
+function renderApiKeyFields() {
+    document.querySelectorAll('input[data-key]').forEach(input => {
+        const name = input.dataset.key;
+        const saved = keyStatus.keys[name] && !removedKeys.has(name);
+        const button = document.querySelector(`.remove-key-btn[data-key="${CSS.escape(name)}"]`);
+
+        if (removedKeys.has(name)) {
+            input.placeholder = 'Removed when you save settings';
+        } else {
+            input.placeholder = saved ? `Saved (${keyStatus.keys[name]}) - type to replace` : input.dataset.placeholder;
+        }
+        if (button) button.style.display = saved ? 'inline-block' : 'none';
+    });
+}
+
+/**
+ * Show the API key protection state
+ */
+function renderKeyProtection() {
+    const passphrase = document.getElementById('keyProtection').value === 'passphrase';
+    document.getElementById('keyPassphraseFields').style.display = passphrase ? 'block' : 'none';
+    document.getElementById('syncApiKeys').checked = keyStatus.sync;
+    document.getElementById('keyUnlock').style.display = keyStatus.locked ? 'block' : 'none';
+
+    let status = 'API keys are encrypted with a key stored in this browser and never synced.';
+    if (keyStatus.locked) {
+        status = '🔒 API keys are locked. Enter your passphrase to use them until the browser is closed.';
+    } else if (keyStatus.mode === 'passphrase') {
+        status = `API keys are encrypted with your passphrase${keyStatus.sync ? ' and synced to your other devices' : ''}. ` +
+            'You will be asked for it again after the browser restarts.';
+    }
+    document.getElementById('keyProtectionStatus').textContent = status;
+}
+
+/**
+ * Re-encrypt saved API keys with a per-install key or a passphrase
+ */
+async function applyKeyProtection() {
+    const mode = document.getElementById('keyProtection').value;
+    const passphrase = document.getElementById('keyPassphrase').value;
+    const sync = document.getElementById('syncApiKeys').checked;
+
+    if (mode === 'passphrase' && passphrase.length < 8) {
+        showStatus('Choose a passphrase of at least 8 characters', 'error');
+        return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'setKeyProtection', mode, passphrase, sync });
+    if (response.error) {
+        showStatus(response.error, 'error');
+        return;
+    }
+
+    document.getElementById('keyPassphrase').value = '';
+    await loadKeyStatus();
+    renderKeyProtection();
+    showStatus(mode === 'passphrase' ? 'API keys are now protected by your passphrase' : 'API keys are now encrypted with a browser key', 'success');
+}
+
+/**
+ * Unlock passphrase-protected API keys for this browser session
+ */
+async function unlockApiKeys() {
+    const input = document.getElementById('unlockPassphrase');
+    const response = await chrome.runtime.sendMessage({ action: 'unlockApiKeys', passphrase: input.value });
+
+    if (response.error) {
+        showStatus(response.error, 'error');
+        return;
+    }
+
+    input.value = '';
+    await loadKeyStatus();
+    renderApiKeyFields();
+    renderKeyProtection();
+    showStatus('API keys unlocked', 'success');
+}
+
+/**
+ * Render the OpenAI-compatible provider cards
+ */
+function renderCustomProviders() {
+    const list = document.getElementById('customProvidersList');
+
+    list.innerHTML = customProviders.map((instance, index) => `
+      <div class="custom-provider" data-id="${escapeHtml(instance.id)}">
+        <div class="custom-provider-header">
+          <input type="text" data-field="name" placeholder="Name (e.g. LM Studio)" value="${escapeHtml(instance.name)}">
+          <button type="button" class="secondary remove-custom-btn" data-index="${index}">Remove</button>
+        </div>
+
+        <label>Base URL</label>
+        <input type="text" data-field="baseUrl" placeholder="http://localhost:1234/v1" value="${escapeHtml(instance.baseUrl)}">
+
+        <label>API Key (optional)</label>
+        <input type="password" data-field="apiKey" data-key="${escapeHtml(CUSTOM_PROVIDER_PREFIX + instance.id)}"
+          data-placeholder="Leave empty if the server needs no key" value="${escapeHtml(instance.apiKey)}">
+        <button type="button" class="secondary remove-key-btn" data-key="${escapeHtml(CUSTOM_PROVIDER_PREFIX + instance.id)}"
+          style="display: none;">Remove saved key</button>
+
+        <label>Model</label>
+        <input type="text" data-field="model" placeholder="e.g. qwen2.5-7b-instruct" value="${escapeHtml(instance.model)}">
+
+        <label>Extra Headers (optional)</label>
+        <textarea data-field="headers" placeholder="X-Team: research">${escapeHtml(formatHeaders(instance.headers))}</textarea>
+        <div class="help-text">One "Name: value" per line. Headers like Authorization are saved encrypted, like API keys.</div>
+      </div>
+    `).join('');
+}
+
+/**
+ * Read OpenAI-compatible providers from the form
+ * @returns {{instances: Array, error: string|null}}
+ */
+function collectCustomProviders() {
+    const instances = [];
+    let error = null;
+
+    document.querySelectorAll('#customProvidersList .custom-provider').forEach((card, index) => {
+        const field = name => card.querySelector(`[data-field="${name}"]`).value.trim();
+        const name = field('name') || `OpenAI-compatible ${index + 1}`;
+        const baseUrl = field('baseUrl');
+        const headers = parseHeaders(field('headers'));
+
+        if (!error && !/^https?:\/\/[^/]+/.test(baseUrl)) {
+            error = `${name}: base URL must start with http:// or https://`;
+        }
+        if (!error && headers === null) {
+            error = `${name}: extra headers must be "Name: value", one per line`;
+        }
+
+        instances.push({
+            id: card.dataset.id,
+            name,
+            baseUrl,
+            apiKey: field('apiKey'),
+            model: field('model'),
+            headers: headers || {}
+        });
+    });
+
+    return { instances, error };
+}
+
+/**
+ * Add an empty OpenAI-compatible provider card
+ */
+function addCustomProvider() {
+    customProviders = [
+        ...collectCustomProviders().instances,
+        { id: Date.now().toString(36), name: '', baseUrl: '', apiKey: '', model: '', headers: {} }
+    ];
+    renderCustomProviders();
+    renderApiKeyFields();
+
+    providerOrder = normalizeProviderOrder(providerOrder);
+    renderProviderOrder();
+}
+
+/**
+ * Remove an OpenAI-compatible provider card
+ */
+function handleCustomProviderClick(event) {
+    const button = event.target.closest('.remove-custom-btn');
+    if (!button) return;
+
+    customProviders = collectCustomProviders().instances;
+    customProviders.splice(Number(button.dataset.index), 1);
+    renderCustomProviders();
+    renderApiKeyFields();
+
+    providerOrder = normalizeProviderOrder(providerOrder);
+    renderProviderOrder();
+}
+
+/**
+ * Parse "Name: value" lines into a headers object
+ * @returns {object|null} Headers, or null if a line is malformed
+ */
+function parseHeaders(text) {
+    const headers = {};
+
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+
+        const match = line.match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+        if (!match) return null;
+        headers[match[1]] = match[2].trim();
+    }
+
+    return headers;
+}
+
+/**
+ * Whether a custom header carries a credential (e.g. Authorization, X-Api-Key)
+ */
+function isSecretHeader(name) {
+    return SettingsTransfer.SECRET_HEADER_PATTERN.test(name);
+}
+
+/**
+ * Replace a provider's secret headers with the saved ones, masked like API keys
+ */
+function withSavedSecretHeaders(instance) {
+    const prefix = CUSTOM_PROVIDER_PREFIX + instance.id + CUSTOM_HEADER_INFIX;
+    const headers = Object.fromEntries(Object.entries(instance.headers || {}).filter(([name]) => !isSecretHeader(name)));
+
+    for (const [name, masked] of Object.entries(keyStatus.keys)) {
+        if (name.startsWith(prefix)) headers[name.slice(prefix.length)] = masked;
+    }
+
+    return { ...instance, headers };
+}
+
+/**
+ * A provider as stored in chrome.storage.sync: no API key and no secret headers
+ */
+function withoutSecrets({ apiKey, ...instance }) {
+    return {
+        ...instance,
+        headers: Object.fromEntries(Object.entries(instance.headers || {}).filter(([name]) => !isSecretHeader(name)))
+    };
+}
+
+/**
+ * Key changes for OpenAI-compatible providers besides their API keys: secret headers
+ * that were typed (masked values are unchanged) or deleted, and all keys of removed providers
+ * @param {Array} instances - Providers to keep, with their secret headers
+ * @returns {object} {[name]: value}; '' removes the key
+ */
+function getCustomProviderKeyChanges(instances) {
+    const changes = {};
+
+    for (const instance of instances) {
+        for (const [header, value] of Object.entries(instance.headers || {})) {
+            const name = CUSTOM_PROVIDER_PREFIX + instance.id + CUSTOM_HEADER_INFIX + header;
+            if (isSecretHeader(header) && value !== keyStatus.keys[name]) changes[name] = value;
+        }
+    }
+
+    for (const name of Object.keys(keyStatus.keys)) {
+        if (!name.startsWith(CUSTOM_PROVIDER_PREFIX)) continue;
+
+        const [id, header] = name.slice(CUSTOM_PROVIDER_PREFIX.length).split(CUSTOM_HEADER_INFIX);
+        const instance = instances.find(entry => entry.id === id);
+        if (!instance || (header !== undefined && !(header in (instance.headers || {})))) {
+            changes[name] = '';
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Format a headers object as "Name: value" lines
+ */
+function formatHeaders(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+/**
+ * Ask for host access to each OpenAI-compatible server
+ * @returns {Promise<boolean>} Whether access is granted for all of them
+ */
+async function requestCustomProviderAccess(instances) {
+    const origins = [...new Set(instances
+        .filter(instance => instance.baseUrl)
+        .map(instance => `${new URL(instance.baseUrl).origin}/*`))];
+
+    if (origins.length === 0) return true;
+
+    try {
+        return await chrome.permissions.request({ origins });
+    } catch (error) {
+        console.error('Host permission request failed:', error);
+        return false;
+    }
+}
+
+/**
+ * Escape HTML
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Move a provider up or down
+ */
+function handleProviderOrderClick(event) {
+    const button = event.target.closest('.order-btn');
+    if (!button) return;
+
+    const index = Number(button.dataset.index);
+    const target = index + Number(button.dataset.move);
+    if (target < 0 || target >= providerOrder.length) return;
+
+    [providerOrder[index], providerOrder[target]] = [providerOrder[target], providerOrder[index]];
+    renderProviderOrder();
+}
+
+/**
+ * Enable or disable a provider
+ */
+function handleProviderToggle(event) {
+    if (event.target.type !== 'checkbox') return;
+
+    providerOrder[Number(event.target.dataset.index)].enabled = event.target.checked;
+    renderProviderOrder();
+}
+
+/**
+ * Remember an edited timeout; an empty field means the default
+ */
+function handleProviderTimeoutInput(event) {
+    if (!event.target.classList.contains('timeout-input')) return;
+
+    const value = event.target.value.trim();
+    if (value) {
+        providerTimeouts[event.target.dataset.id] = Number(value);
+    } else {
+        delete providerTimeouts[event.target.dataset.id];
+    }
+}
+
+/**
+ * Download the saved settings as JSON, without API keys or with them encrypted
+ */
+async function exportSettings() {
+    const encrypt = document.getElementById('exportSecrets').value === 'encrypt';
+    const passphrase = document.getElementById('exportPassphrase').value;
+
+    if (encrypt && passphrase.length < 8) {
+        showStatus('Choose a passphrase of at least 8 characters to encrypt API keys', 'error');
+        return;
+    }
+
+    try {
+        // API keys are only decrypted in the service worker
+        const response = await chrome.runtime.sendMessage({ action: 'exportSettings', passphrase: encrypt ? passphrase : null });
+        if (response.error) throw new Error(response.error);
+
+        const file = response.file;
+        const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = 'youtube-summarizer-settings.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showStatus(encrypt ? 'Settings exported with encrypted API keys' : 'Settings exported without API keys', 'success');
+    } catch (error) {
+        console.error('Failed to export settings:', error);
+        showStatus(`Failed to export settings: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Read and validate a settings file, then show what it would change
+ */
+async function importSettings(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const parsed = SettingsTransfer.parse(await file.text());
+        if (parsed.errors.length > 0) {
+            showStatus(`Can't import ${file.name}: ${parsed.errors.join('; ')}`, 'error');
+            return;
+        }
+
+        pendingImport = { fileName: file.name, ...parsed, secrets: null };
+        await renderImportPreview();
+    } catch (error) {
+        console.error('Failed to read settings file:', error);
+        pendingImport = null;
+        await renderImportPreview();
+        showStatus(`Can't import ${file.name}: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Show the changes an import would make
+ */
+async function renderImportPreview() {
+    const preview = document.getElementById('importPreview');
+
+    if (!pendingImport) {
+        preview.style.display = 'none';
+        preview.innerHTML = '';
+        return;
+    }
+
+    const current = await getCurrentSettings();
+    pendingImport.merged = SettingsTransfer.merge(current, pendingImport.settings, pendingImport.secrets);
+    const changes = SettingsTransfer.diff(current, pendingImport.merged);
+
+    let secretsNote = 'The file has no API keys; your current keys are kept.';
+    if (pendingImport.secrets) {
+        secretsNote = 'API keys from the file are included above; keys the file doesn\'t have are kept.';
+    } else if (pendingImport.encryptedSecrets) {
+        secretsNote = `
+        <input type="password" id="importPassphrase" placeholder="Passphrase for the API keys in this file">
+        <button type="button" class="secondary" id="unlockImportBtn" style="margin: 8px 0 0;">Unlock API Keys</button>
+        <div class="help-text">Without the passphrase, your current API keys are kept.</div>`;
+    }
+
+    preview.innerHTML = `
+      <label>Changes from ${escapeHtml(pendingImport.fileName)}</label>
+      ${changes.length > 0 ? `
+        <table class="import-diff">
+          ${changes.map(change => `
+            <tr>
+              <td>${escapeHtml(change.label)}</td>
+              <td class="diff-from">${escapeHtml(change.from)}</td>
+              <td class="diff-to">${escapeHtml(change.to)}</td>
+            </tr>
+          `).join('')}
+        </table>` : '<div class="help-text" style="margin-bottom: 12px;">No changes - these settings are already in use.</div>'}
+      ${pendingImport.warnings.length > 0
+            ? `<div class="import-warnings">${pendingImport.warnings.map(escapeHtml).join('<br>')}</div>`
+            : ''}
+      <div class="help-text" style="margin-bottom: 12px;">${secretsNote}</div>
+      <button type="button" id="applyImportBtn" ${changes.length === 0 ? 'disabled' : ''}>Apply Changes</button>
+      <button type="button" class="secondary" id="cancelImportBtn">Cancel</button>
+    `;
+    preview.style.display = 'block';
+}
+
+/**
+ * Stored settings with API keys masked, to compare an import against
+ */
+async function getCurrentSettings() {
+    await loadKeyStatus();
+
+    const settings = await SettingsTransfer.load();
+    for (const name of SettingsTransfer.SECRET_KEYS) {
+        settings[name] = keyStatus.keys[name] || '';
+    }
+    settings.customProviders = (settings.customProviders || []).map(instance => withSavedSecretHeaders({
+        ...instance,
+        apiKey: keyStatus.keys[CUSTOM_PROVIDER_PREFIX + instance.id] || ''
+    }));
+
+    return settings;
+}
+
+/**
+ * Unlock, apply or cancel a pending import
+ */
+async function handleImportPreviewClick(event) {
+    const button = event.target.closest('button');
+    if (!button || !pendingImport) return;
+
+    if (button.id === 'cancelImportBtn') {
+        pendingImport = null;
+        await renderImportPreview();
+    } else if (button.id === 'unlockImportBtn') {
+        try {
+            const passphrase = document.getElementById('importPassphrase').value;
+            pendingImport.secrets = await SettingsTransfer.decryptSecrets(pendingImport.encryptedSecrets, passphrase);
+            await renderImportPreview();
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+    } else if (button.id === 'applyImportBtn') {
+        await applyImport();
+    }
+}
+
+/**
+ * Store the imported settings and reload the form
+ */
+async function applyImport() {
+    const { merged, secrets } = pendingImport;
+    const settings = { ...merged };
+    const keyChanges = {};
+
+    // Keys go to the service worker; only keys the file has (unlocked) are changed
+    for (const name of SettingsTransfer.SECRET_KEYS) {
+        if (secrets?.[name]) keyChanges[name] = secrets[name];
+        delete settings[name];
+    }
+    if (settings.customProviders) {
+        for (const instance of settings.customProviders) {
+            const key = secrets?.customProviders[instance.id]?.apiKey;
+            if (key) keyChanges[CUSTOM_PROVIDER_PREFIX + instance.id] = key;
+        }
+        Object.assign(keyChanges, getCustomProviderKeyChanges(settings.customProviders));
+        settings.customProviders = settings.customProviders.map(withoutSecrets);
+    }
+
+    if (keyStatus.locked && Object.keys(keyChanges).length > 0) {
+        showStatus('Unlock your API keys with your passphrase before importing keys', 'error');
+        return;
+    }
+
+    try {
+        // Must run before any other await so the click still counts as a user gesture
+        const accessGranted = await requestCustomProviderAccess(settings.customProviders || []);
+
+        await SettingsTransfer.store(settings);
+
+        if (Object.keys(keyChanges).length > 0) {
+            const response = await chrome.runtime.sendMessage({ action: 'setApiKeys', keys: keyChanges });
+            if (response.error) throw new Error(response.error);
+        }
+
+        pendingImport = null;
+        await renderImportPreview();
+        await loadSettings();
+
+        showStatus(accessGranted
+            ? 'Settings imported successfully!'
+            : 'Settings imported, but host access was denied - OpenAI-compatible providers may fail to connect',
+        accessGranted ? 'success' : 'error');
+    } catch (error) {
+        console.error('Failed to import settings:', error);
+        showStatus(`Failed to import settings: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Format a byte count as B, KB or MB
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Clear cache
  */
@@ -111,6 +1262,28 @@ async function clearCache() {
     }
 }
 
+/**
+ * Clear cached transcripts (summaries are kept)
+ */
+async function clearTranscriptCache() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'clearTranscriptCache'
+        });
+
+        if (response.error) {
+            showStatus('Failed to clear transcripts', 'error');
+        } else {
+            showStatus(`Cleared ${response.cleared} cached transcripts`, 'success');
+            await loadCacheStats();
+        }
+
+    } catch (error) {
+        console.error('Failed to clear transcripts:', error);
+        showStatus('Failed to clear transcripts', 'error');
+    }
+}
+
 /**
  * Test all configured AI providers
  */
@@ -135,11 +1308,12 @@ async function testProviders() {
         let message = 'Test Results:\n';
         response.results.forEach(result => {
             const status = result.status === 'success' ? '✅' : '❌';
-            message += `\n${status} ${result.provider}: ${result.status === 'success' ? 'Working' : result.error}`;
+            message += `\n${status} ${result.name || result.provider}: ${result.status === 'success' ? 'Working' : result.error}`;
         });
 
         alert(message);
         showStatus('Provider test complete', 'success');
+        await loadProviderHealth();
 
     } catch (error) {
         console.error('Failed to test providers:', error);
@@ -160,17 +1334,227 @@ async function loadCacheStats() {
             document.getElementById('totalCached').textContent = 'Error';
             document.getElementById('validCached').textContent = 'Error';
             document.getElementById('expiredCached').textContent = 'Error';
+            document.getElementById('cacheBytes').textContent = 'Error';
+            document.getElementById('storageBytes').textContent = 'Error';
         } else {
-            document.getElementById('totalCached').textContent = response.total;
+            document.getElementById('totalCached').textContent = `${response.total} of ${response.maxEntries}`;
             document.getElementById('validCached').textContent = response.valid;
             document.getElementById('expiredCached').textContent = response.expired;
+            document.getElementById('cacheBytes').textContent = `${formatBytes(response.bytes)} of ${formatBytes(response.maxBytes)}`;
+            document.getElementById('storageBytes').textContent = (response.quotaBytes
+                ? `${formatBytes(response.bytesInUse)} of ${formatBytes(response.quotaBytes)} ` +
+                `(${Math.round(response.bytesInUse / response.quotaBytes * 100)}%)`
+                : formatBytes(response.bytesInUse)) +
+                `, ${formatBytes(response.cachesBytes)} of it summaries and transcripts`;
         }
 
+        const transcripts = await chrome.runtime.sendMessage({
+            action: 'getTranscriptCacheStats'
+        });
+
+        document.getElementById('transcriptsCached').textContent = transcripts.error
+            ? 'Error'
+            : `${transcripts.valid} (${formatBytes(transcripts.bytes)} of ${formatBytes(transcripts.maxBytes)})`;
+
     } catch (error) {
         console.error('Failed to load cache stats:', error);
     }
 }
 
+/**
+ * Show each provider's health, median latency and last error
+ */
+async function loadProviderHealth() {
+    const list = document.getElementById('providerHealth');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getProviderHealth' });
+        if (response.error) throw new Error(response.error);
+
+        const labels = {
+            unknown: '⚪ No requests yet',
+            healthy: '🟢 Healthy',
+            failing: '🟠 Failing',
+            down: '🔴 Skipped',
+            probing: '🟡 Being retried'
+        };
+
+        list.innerHTML = Object.entries(response.health).map(([id, health]) => {
+            const details = [labels[health.status] || health.status];
+            if (health.retryAt) {
+                details.push(`until ${new Date(health.retryAt).toLocaleTimeString()}`);
+            }
+            if (health.medianLatency !== null && health.medianLatency !== undefined) {
+                details.push(`${(health.medianLatency / 1000).toFixed(1)}s median`);
+            }
+            if (health.successes || health.failures) {
+                details.push(`${health.successes} ok / ${health.failures} failed`);
+            }
+
+            return `
+              <div class="health-row">
+                <div class="stats-row">
+                  <span class="stats-label">${escapeHtml(getProviderLabel(id))}</span>
+                  <span class="stats-value">${escapeHtml(details.join(' · '))}</span>
+                </div>
+                ${health.lastError ? `
+                  <div class="health-error">
+                    Last error (${new Date(health.lastErrorAt).toLocaleTimeString()}): ${escapeHtml(health.lastError)}
+                  </div>` : ''}
+              </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load provider health:', error);
+        list.textContent = 'Provider health is unavailable';
+    }
+}
+
+/**
+ * Let skipped providers be tried again on the next request
+ */
+async function resetProviderHealth() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'resetProviderHealth' });
+        if (response.error) throw new Error(response.error);
+
+        await loadProviderHealth();
+        showStatus('Skipped providers will be tried again', 'success');
+    } catch (error) {
+        console.error('Failed to reset provider health:', error);
+        showStatus('Failed to reset provider health', 'error');
+    }
+}
+
+/**
+ * Load usage history and this month's budget status
+ */
+async function loadUsage() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getUsage' });
+        if (response.error) throw new Error(response.error);
+
+        usageEntries = response.entries;
+        renderBudgetStatus(response.budget);
+        renderUsage();
+    } catch (error) {
+        console.error('Failed to load usage:', error);
+        document.getElementById('usageTable').textContent = 'Usage is unavailable';
+    }
+}
+
+/**
+ * Show this month's spend against the budget
+ */
+function renderBudgetStatus(budget) {
+    const status = document.getElementById('budgetStatus');
+
+    if (!budget.budget) {
+        status.textContent = `Spent this month: ${formatCost(budget.spent)} (no budget set)`;
+        return;
+    }
+
+    const percent = Math.round(budget.spent / budget.budget * 100);
+    let text = `Spent this month: ${formatCost(budget.spent)} of ${formatCost(budget.budget)} (${percent}%)`;
+    if (budget.exhausted) text = `🛑 ${text} - paid providers are skipped until next month`;
+    else if (budget.warning) text = `⚠️ ${text}`;
+    status.textContent = text;
+}
+
+/**
+ * Render usage totals for the selected range, grouped by day, provider or model
+ */
+function renderUsage() {
+    const table = document.getElementById('usageTable');
+    const range = document.getElementById('usageRange').value;
+    const group = document.getElementById('usageGroup').value;
+
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    let since = '';
+    if (range === 'month') {
+        since = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-01`;
+    } else if (range !== 'all') {
+        const start = new Date(now.getTime() - (Number(range) - 1) * 24 * 60 * 60 * 1000);
+        since = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    }
+
+    const groups = new Map();
+    for (const entry of usageEntries) {
+        if (entry.date < since) continue;
+
+        const key = group === 'day' ? entry.date
+            : group === 'provider' ? getProviderLabel(entry.provider)
+                : entry.model || `${getProviderLabel(entry.provider)} (unknown model)`;
+        const total = groups.get(key) || { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, priced: true };
+
+        total.requests += entry.requests;
+        total.promptTokens += entry.promptTokens;
+        total.completionTokens += entry.completionTokens;
+        total.cost += entry.cost;
+        total.priced = total.priced && entry.priced;
+        groups.set(key, total);
+    }
+
+    if (groups.size === 0) {
+        table.innerHTML = '<tbody><tr><td>No usage recorded yet</td></tr></tbody>';
+        return;
+    }
+
+    // Newest day first; providers and models by cost
+    const rows = [...groups.entries()].sort(([nameA, a], [nameB, b]) =>
+        group === 'day' ? nameB.localeCompare(nameA) : b.cost - a.cost || nameA.localeCompare(nameB));
+    const totals = rows.reduce((sum, [, total]) => ({
+        requests: sum.requests + total.requests,
+        promptTokens: sum.promptTokens + total.promptTokens,
+        completionTokens: sum.completionTokens + total.completionTokens,
+        cost: sum.cost + total.cost,
+        priced: sum.priced && total.priced
+    }), { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, priced: true });
+
+    const renderRow = (name, total) => `
+      <td>${escapeHtml(name)}</td>
+      <td>${total.requests.toLocaleString()}</td>
+      <td>${total.promptTokens.toLocaleString()}</td>
+      <td>${total.completionTokens.toLocaleString()}</td>
+      <td title="${total.priced ? '' : 'Includes models without a price'}">${formatCost(total.cost)}${total.priced ? '' : '*'}</td>
+    `;
+
+    table.innerHTML = `
+      <thead>
+        <tr><th>${group === 'day' ? 'Date' : group === 'provider' ? 'Provider' : 'Model'}</th>
+          <th>Requests</th><th>Input</th><th>Output</th><th>Cost</th></tr>
+      </thead>
+      <tbody>${rows.map(([name, total]) => `<tr>${renderRow(name, total)}</tr>`).join('')}</tbody>
+      <tfoot><tr>${renderRow('Total', totals)}</tr></tfoot>
+    `;
+}
+
+/**
+ * Format a USD amount, keeping small amounts visible
+ */
+function formatCost(amount) {
+    if (!amount) return '$0.00';
+    if (amount < 0.01) return `$${amount.toFixed(4)}`;
+    return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Remove all usage history
+ */
+async function clearUsage() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'clearUsage' });
+        if (response.error) throw new Error(response.error);
+
+        await loadUsage();
+        showStatus('Usage history cleared', 'success');
+    } catch (error) {
+        console.error('Failed to clear usage:', error);
+        showStatus('Failed to clear usage history', 'error');
+    }
+}
+
 /**
  * Show status message
  */
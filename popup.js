@@ -36,11 +36,12 @@ function setupButtons() {
  */
 async function checkStatus() {
     try {
-        const result = await chrome.storage.sync.get(['apiKey', 'deepSeekApiKey', 'ollamaUrl']);
+        // API keys are encrypted; only the service worker can tell which are set
+        const response = await chrome.runtime.sendMessage({ action: 'checkProviderConfig' });
         const statusEl = document.getElementById('status');
         const messageEl = document.getElementById('statusMessage');
 
-        const hasProvider = result.apiKey || result.deepSeekApiKey || result.ollamaUrl;
+        const hasProvider = !!response?.configured;
 
         if (hasProvider) {
             statusEl.textContent = 'Ready ✓';
@@ -0,0 +1,165 @@
+/**
+ * Prompt Templates - User-written summary prompts with {variable} placeholders
+ * Shared by APIManager (which fills them in) and the options page editor (preview)
+ *
+ * A template is {id, name, system, prompt}: the system text becomes the system
+ * message (the built-in one is used if empty) and the prompt the user message.
+ */
+
+// Variables a template can use, with the description shown in the editor
+const TEMPLATE_VARIABLES = {
+    title: 'Video title',
+    channel: 'Channel name',
+    description: 'Video description',
+    duration: 'Video length (h:mm:ss)',
+    transcript: 'Transcript, or merged notes for long videos',
+    language: 'Output language',
+    format: 'Built-in output format (bullets, takeaways, timestamped sections)'
+};
+
+// Sample video for the editor preview
+const SAMPLE_TEMPLATE_VIDEO = {
+    metadata: {
+        title: 'Designing a Plugin Architecture in TypeScript',
+        channel: 'Dev Talks',
+        description: 'How we moved our build tool to plugins, and what we would do differently.',
+        duration: 1325
+    },
+    transcript: [
+        '[0:00] Welcome back. Today we are looking at how we rebuilt our build tool around plugins.',
+        '[0:42] The old design had every feature hard-coded in the core, so each release touched everything.',
+        '[2:15] We chose a hook-based API, similar to Rollup, instead of class inheritance.',
+        '[5:30] Plugins register for lifecycle events and can return transformed files.',
+        '[9:05] For testing we use Vitest and a small fake file system.',
+        '[14:20] The biggest mistake was exposing internal types; we now publish a separate API package.',
+        '[20:10] That is it for today. Links to the repo are in the description.'
+    ].join('\n')
+};
+
+class PromptTemplate {
+    /**
+     * Replace {variable} placeholders. Unknown placeholders are left as-is,
+     * so literal braces (e.g. JSON examples) survive.
+     * @param {string} text - Template text
+     * @param {object} values - Variable values
+     * @returns {string}
+     */
+    static render(text, values) {
+        return (text || '').replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name) ? String(values[name] ?? '') : match
+        );
+    }
+
+    /**
+     * Whether a template places the built-in output format itself
+     * @param {object} template
+     * @returns {boolean}
+     */
+    static usesFormat(template) {
+        return /\{format\}/.test(`${template.system || ''}\n${template.prompt || ''}`);
+    }
+
+    /**
+     * Build variable values for a summary request
+     * @param {object} context - Summary context (see APIManager.generateSummary)
+     * @param {string|null} content - Transcript or merged notes; null for metadata-only
+     * @returns {object} Values for render()
+     */
+    static buildValues(context, content) {
+        const metadata = context.metadata || {};
+        const duration = parseInt(metadata.duration, 10);
+
+        return {
+            title: metadata.title || 'Unknown',
+            channel: metadata.channel || 'Unknown',
+            description: metadata.description || 'Not available',
+            duration: duration > 0 ? TimestampUtils.format(duration) : 'Unknown',
+            transcript: content || 'Transcript unavailable - use the title and description only.',
+            language: SummaryFormat.getLanguageName(context.language),
+            format: SummaryFormat.buildInstructions(context)
+        };
+    }
+
+    /**
+     * Fill in a template's system and user messages
+     * @param {object} template - {system, prompt}
+     * @param {object} values - From buildValues()
+     * @returns {{system: string|null, prompt: string}} system is null when the template has none
+     */
+    static buildMessages(template, values) {
+        const system = this.render(template.system, values).trim();
+
+        return {
+            system: system || null,
+            prompt: this.render(template.prompt, values).trim()
+        };
+    }
+
+    /**
+     * Check a template before saving
+     * @param {object} template - {name, system, prompt}
+     * @returns {string|null} Error message, or null if valid
+     */
+    static validate(template) {
+        const name = template.name || 'Template';
+        const text = `${template.system || ''}\n${template.prompt || ''}`;
+
+        if (!template.prompt || !template.prompt.trim()) {
+            return `${name}: the prompt can't be empty`;
+        }
+
+        if (!/\{transcript\}/.test(text)) {
+            return `${name}: include {transcript} in the system message or prompt`;
+        }
+
+        const unknown = [...text.matchAll(/\{(\w+)\}/g)]
+            .map(match => match[1])
+            .filter(variable => !Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, variable));
+
+        if (unknown.length > 0) {
+            return `${name}: unknown variable${unknown.length > 1 ? 's' : ''} ${[...new Set(unknown)].map(v => `{${v}}`).join(', ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Short fingerprint of a template's text, so cached summaries made
+     * before the template was edited aren't reused
+     * @param {object} template - {system, prompt}
+     * @returns {string}
+     */
+    static getVersion(template) {
+        const text = `${template.system || ''}\n${template.prompt || ''}`;
+        let hash = 5381;
+
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+        }
+
+        return hash.toString(36);
+    }
+
+    /**
+     * Fill in a template against the sample video, for the editor preview
+     * @param {object} template - {system, prompt}
+     * @param {object} [context] - Extra summary context (e.g. style)
+     * @returns {{system: string|null, prompt: string}}
+     */
+    static preview(template, context = {}) {
+        const values = this.buildValues({
+            hasTranscript: true,
+            timestamped: true,
+            json: this.usesFormat(template),
+            ...context,
+            metadata: SAMPLE_TEMPLATE_VIDEO.metadata
+        }, SAMPLE_TEMPLATE_VIDEO.transcript);
+
+        return this.buildMessages(template, values);
+    }
+}
+
+PromptTemplate.VARIABLES = TEMPLATE_VARIABLES;
+
+// Export for service worker and extension pages
+self.PromptTemplate = PromptTemplate;
@@ -0,0 +1,196 @@
+/**
+ * Provider Health - success/failure history and latency per provider, with a circuit breaker
+ *
+ * Kept in chrome.storage.session, so it survives service worker restarts but starts
+ * fresh with each browser session. After FAILURE_THRESHOLD failures in a row a
+ * provider is skipped for a cool-down period; the first request after that is a probe.
+ * If the probe fails too, the cool-down doubles (up to MAX_COOL_DOWN_MS).
+ */
+
+const HEALTH_STORAGE_KEY = 'providerHealth';
+const FAILURE_THRESHOLD = 3;
+const BASE_COOL_DOWN_MS = 60 * 1000;
+const MAX_COOL_DOWN_MS = 15 * 60 * 1000;
+
+// Successful request latencies kept per provider, for the median
+const LATENCY_SAMPLES = 20;
+
+class ProviderHealth {
+    constructor() {
+        // Serializes read-modify-write cycles
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Providers that may be tried now: those not cooling down, and those whose
+     * cool-down is over (the next request probes them)
+     * @param {string[]} providers - Provider IDs
+     * @returns {Promise<string[]>} In the same order
+     */
+    async filterAvailable(providers) {
+        const records = await this._load();
+        const now = Date.now();
+        return providers.filter(provider => (records[provider]?.openUntil || 0) <= now);
+    }
+
+    /**
+     * Why a provider is being skipped
+     * @param {string} provider - Provider ID
+     * @returns {Promise<string>}
+     */
+    async describeSkip(provider) {
+        const record = (await this._load())[provider];
+        if (!record) return 'skipped';
+
+        const seconds = Math.max(1, Math.ceil((record.openUntil - Date.now()) / 1000));
+        return `skipped after ${record.consecutiveFailures} failures in a row, retrying in ${seconds}s ` +
+            `(last error: ${record.lastError})`;
+    }
+
+    /**
+     * Record a successful request; closes the circuit
+     * @param {string} provider - Provider ID
+     * @param {number} latency - Request time in milliseconds
+     */
+    async recordSuccess(provider, latency) {
+        await this._update(provider, record => {
+            record.successes++;
+            record.consecutiveFailures = 0;
+            record.trips = 0;
+            record.openUntil = 0;
+            record.lastSuccessAt = Date.now();
+            record.latencies = [...record.latencies, Math.round(latency)].slice(-LATENCY_SAMPLES);
+        });
+    }
+
+    /**
+     * Record a failed request; opens the circuit after repeated failures
+     * @param {string} provider - Provider ID
+     * @param {string} error - Error message
+     */
+    async recordFailure(provider, error) {
+        await this._update(provider, record => {
+            const now = Date.now();
+
+            record.failures++;
+            record.consecutiveFailures++;
+            record.lastError = error;
+            record.lastErrorAt = now;
+
+            if (record.consecutiveFailures >= FAILURE_THRESHOLD) {
+                record.trips++;
+                record.openUntil = now + Math.min(MAX_COOL_DOWN_MS, BASE_COOL_DOWN_MS * 2 ** (record.trips - 1));
+                console.warn(`${provider} is failing, skipping it until ${new Date(record.openUntil).toLocaleTimeString()}`);
+            }
+        });
+    }
+
+    /**
+     * Health of each provider, for the options page
+     * @param {string[]} providers - Provider IDs
+     * @returns {Promise<object>} {[provider]: {status, lastError, lastErrorAt, medianLatency, successes,
+     *   failures, retryAt}}; status is 'unknown', 'healthy', 'failing', 'down' (cooling down)
+     *   or 'probing' (cool-down over, the next request decides)
+     */
+    async getStatus(providers) {
+        const records = await this._load();
+        const now = Date.now();
+        const status = {};
+
+        for (const provider of providers) {
+            const record = records[provider];
+            if (!record) {
+                status[provider] = { status: 'unknown', successes: 0, failures: 0 };
+                continue;
+            }
+
+            let state = 'healthy';
+            if (record.openUntil > now) state = 'down';
+            else if (record.openUntil) state = 'probing';
+            else if (record.consecutiveFailures > 0) state = 'failing';
+
+            status[provider] = {
+                status: state,
+                lastError: record.lastError,
+                lastErrorAt: record.lastErrorAt,
+                medianLatency: this._median(record.latencies),
+                successes: record.successes,
+                failures: record.failures,
+                retryAt: record.openUntil > now ? record.openUntil : null
+            };
+        }
+
+        return status;
+    }
+
+    /**
+     * Close every circuit (e.g. after settings change), keeping the history.
+     * A provider that fails again is skipped again, starting with the shortest cool-down.
+     */
+    async reset() {
+        await this._withRecords(records => {
+            for (const record of Object.values(records)) {
+                record.trips = 0;
+                record.openUntil = 0;
+            }
+        });
+    }
+
+    /**
+     * Change one provider's record
+     * @private
+     */
+    _update(provider, change) {
+        return this._withRecords(records => {
+            records[provider] = records[provider] || {
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                trips: 0,
+                openUntil: 0,
+                latencies: [],
+                lastError: null,
+                lastErrorAt: null,
+                lastSuccessAt: null
+            };
+            change(records[provider]);
+        });
+    }
+
+    /**
+     * Run a change to the stored records; changes run one at a time.
+     * Health is only advisory, so storage errors are logged rather than thrown.
+     * @private
+     */
+    _withRecords(change) {
+        this.queue = this.queue.then(async () => {
+            const records = await this._load();
+            change(records);
+            await chrome.storage.session.set({ [HEALTH_STORAGE_KEY]: records });
+        }).catch(error => console.error('Failed to update provider health:', error));
+
+        return this.queue;
+    }
+
+    /**
+     * @private
+     */
+    async _load() {
+        const result = await chrome.storage.session.get(HEALTH_STORAGE_KEY);
+        return result[HEALTH_STORAGE_KEY] || {};
+    }
+
+    /**
+     * @private
+     */
+    _median(values) {
+        if (!values?.length) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+}
+
+// Export for service worker
+self.ProviderHealth = ProviderHealth;
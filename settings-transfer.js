@@ -0,0 +1,574 @@
+/**
+ * Settings Transfer - Export/import of extension settings as a JSON file,
+ * e.g. to share a team configuration.
+ *
+ * API keys (and secret-looking custom headers) are never written in plain text:
+ * they are either left out or encrypted with a passphrase (PBKDF2 + AES-GCM).
+ * Imported files are checked against SETTINGS_SCHEMA and diffed against the
+ * current settings before anything is applied.
+ */
+
+const SETTINGS_FILE_FORMAT = 'youtube-summarizer-settings';
+const SETTINGS_FILE_VERSION = 1;
+
+// Key derivation for encrypted secrets. Files may ask for more iterations, up to a
+// limit, so a crafted file can't freeze the page deriving the key.
+const SECRETS_KDF_ITERATIONS = 250000;
+const SECRETS_KDF_MAX_ITERATIONS = SECRETS_KDF_ITERATIONS * 10;
+
+// Custom provider headers whose values are treated like API keys
+const SECRET_HEADER_PATTERN = /auth|key|token|secret|cookie|password/i;
+
+const BUILTIN_PROVIDER_IDS = ['gemini', 'openrouter', 'deepseek', 'local'];
+
+// Every setting, with its label for the import diff. Secrets live in the service
+// worker's KeyStore; settings that can outgrow a chrome.storage.sync item (8 KB) are
+// marked local and kept in chrome.storage.local; everything else in chrome.storage.sync.
+const SETTINGS_SCHEMA = {
+    apiKey: { label: 'Gemini API key', type: 'string', secret: true },
+    openRouterApiKey: { label: 'OpenRouter API key', type: 'string', secret: true },
+    openRouterModel: { label: 'OpenRouter model', type: 'string' },
+    deepSeekApiKey: { label: 'DeepSeek API key', type: 'string', secret: true },
+    ollamaUrl: { label: 'Ollama URL', type: 'url' },
+    ollamaModel: { label: 'Ollama model', type: 'string' },
+    hoverDelay: { label: 'Hover delay (ms)', type: 'integer', min: 100, max: 2000 },
+    cacheMaxEntries: { label: 'Cache limit (summaries)', type: 'integer', min: 10, max: 5000 },
+    cacheMaxMB: { label: 'Cache limit (MB)', type: 'integer', min: 1, max: 9 },
+    captionLanguages: { label: 'Caption languages', type: 'languages' },
+    captionKind: { label: 'Caption kind', type: 'enum', values: ['manual', 'asr'] },
+    translateCaptions: { label: 'Translate captions', type: 'boolean' },
+    libraryIncludeTranscripts: { label: 'Include transcripts in library search', type: 'boolean' },
+    summaryStyle: { label: 'Default summary style', type: 'enum', values: Object.keys(SummaryFormat.STYLES) },
+    outputLanguage: { label: 'Summary language', type: 'enum', values: Object.keys(SummaryFormat.LANGUAGES) },
+    providerOrder: { label: 'Provider order', type: 'providerOrder' },
+    providerTimeouts: { label: 'Provider timeouts', type: 'timeouts', min: 5, max: 600 },
+    providerStrategy: { label: 'Provider strategy', type: 'enum', values: ['cascade', 'race', 'compare'] },
+    jobConcurrency: { label: 'Concurrent summaries', type: 'integer', min: 1, max: 5 },
+    customProviders: { label: 'OpenAI-compatible provider', type: 'customProviders' },
+    promptTemplates: { label: 'Prompt template', type: 'promptTemplates', local: true },
+    activePromptTemplate: { label: 'Active prompt template', type: 'string' },
+    modelPrices: { label: 'Model prices', type: 'prices', local: true },
+    monthlyBudget: { label: 'Monthly budget (USD)', type: 'number', min: 0, max: 100000 }
+};
+
+const SECRET_KEYS = Object.keys(SETTINGS_SCHEMA).filter(key => SETTINGS_SCHEMA[key].secret);
+const LOCAL_KEYS = Object.keys(SETTINGS_SCHEMA).filter(key => SETTINGS_SCHEMA[key].local);
+
+class SettingsTransfer {
+    /**
+     * Read every stored setting, from chrome.storage.sync and chrome.storage.local
+     * @returns {Promise<object>} Settings without secrets (see KeyStore)
+     */
+    static async load() {
+        const syncKeys = Object.keys(SETTINGS_SCHEMA).filter(key => !SETTINGS_SCHEMA[key].local);
+        return { ...await chrome.storage.sync.get(syncKeys), ...await chrome.storage.local.get(LOCAL_KEYS) };
+    }
+
+    /**
+     * Write settings, each to its storage area
+     * @param {object} settings - Settings without secrets
+     */
+    static async store(settings) {
+        const synced = {};
+        const local = {};
+
+        for (const [key, value] of Object.entries(settings)) {
+            (SETTINGS_SCHEMA[key]?.local ? local : synced)[key] = value;
+        }
+
+        await chrome.storage.sync.set(synced);
+        if (Object.keys(local).length > 0) {
+            await chrome.storage.local.set(local);
+        }
+    }
+
+    /**
+     * Move local settings that older versions kept in chrome.storage.sync.
+     * Safe to call more than once.
+     */
+    static async migrateStorage() {
+        const stored = await chrome.storage.sync.get(LOCAL_KEYS);
+        if (Object.keys(stored).length === 0) return;
+
+        await chrome.storage.local.set(stored);
+        await chrome.storage.sync.remove(Object.keys(stored));
+    }
+
+    /**
+     * Build an export file from stored settings
+     * @param {object} settings - Settings as stored (see load())
+     * @param {object} [options]
+     * @param {string} [options.passphrase] - Encrypt API keys with it; without one they are left out
+     * @returns {Promise<object>} File contents (JSON.stringify it for download)
+     */
+    static async export(settings, options = {}) {
+        const { plain, secrets } = this.splitSecrets(settings);
+        const file = {
+            format: SETTINGS_FILE_FORMAT,
+            version: SETTINGS_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: plain
+        };
+
+        if (options.passphrase) {
+            file.encryptedSecrets = await this.encryptSecrets(secrets, options.passphrase);
+        }
+
+        return file;
+    }
+
+    /**
+     * Parse and validate an export file
+     * @param {string} text - File contents
+     * @returns {{settings: object|null, encryptedSecrets: object|null, errors: string[], warnings: string[]}}
+     */
+    static parse(text) {
+        const result = { settings: null, encryptedSecrets: null, errors: [], warnings: [] };
+        let file;
+
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            result.errors.push('The file is not valid JSON');
+            return result;
+        }
+
+        if (!file || typeof file !== 'object' || file.format !== SETTINGS_FILE_FORMAT) {
+            result.errors.push('This is not a settings file exported by the extension');
+            return result;
+        }
+
+        if (file.version !== SETTINGS_FILE_VERSION) {
+            result.errors.push(`Unsupported settings file version ${file.version}`);
+            return result;
+        }
+
+        if (!file.settings || typeof file.settings !== 'object' || Array.isArray(file.settings)) {
+            result.errors.push('The file has no settings');
+            return result;
+        }
+
+        const settings = {};
+
+        for (const [key, value] of Object.entries(file.settings)) {
+            const rule = SETTINGS_SCHEMA[key];
+
+            if (!rule) {
+                result.warnings.push(`Ignoring unknown setting "${key}"`);
+                continue;
+            }
+
+            // Secrets only travel encrypted
+            if (rule.secret) {
+                result.warnings.push(`Ignoring unencrypted ${rule.label}`);
+                continue;
+            }
+
+            const error = this._validateValue(rule, value, file.settings);
+            if (error) {
+                result.errors.push(`${rule.label}: ${error}`);
+            } else {
+                settings[key] = value;
+            }
+        }
+
+        if (file.encryptedSecrets) {
+            const { salt, iv, data, iterations } = file.encryptedSecrets;
+            if (![salt, iv, data].every(part => typeof part === 'string') || !Number.isInteger(iterations)) {
+                result.errors.push('The encrypted API keys are malformed');
+            } else if (iterations < SECRETS_KDF_ITERATIONS || iterations > SECRETS_KDF_MAX_ITERATIONS) {
+                result.errors.push(`The encrypted API keys use ${iterations} key derivation iterations; ` +
+                    `only ${SECRETS_KDF_ITERATIONS} to ${SECRETS_KDF_MAX_ITERATIONS} are supported`);
+            } else {
+                result.encryptedSecrets = file.encryptedSecrets;
+            }
+        }
+
+        if (result.errors.length === 0) {
+            result.settings = settings;
+        }
+
+        return result;
+    }
+
+    /**
+     * Separate API keys and secret headers from the rest of the settings
+     * @param {object} settings
+     * @returns {{plain: object, secrets: object}} secrets: {apiKey, …, customProviders: {[id]: {apiKey, headers}}}
+     */
+    static splitSecrets(settings) {
+        const plain = {};
+        const secrets = { customProviders: {} };
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (!SETTINGS_SCHEMA[key]) continue;
+
+            if (SETTINGS_SCHEMA[key].secret) {
+                if (value) secrets[key] = value;
+            } else if (key === 'customProviders') {
+                plain.customProviders = (value || []).map(instance => {
+                    const headers = {};
+                    const secretHeaders = {};
+
+                    for (const [name, headerValue] of Object.entries(instance.headers || {})) {
+                        (SECRET_HEADER_PATTERN.test(name) ? secretHeaders : headers)[name] = headerValue;
+                    }
+
+                    if (instance.apiKey || Object.keys(secretHeaders).length > 0) {
+                        secrets.customProviders[instance.id] = { apiKey: instance.apiKey || '', headers: secretHeaders };
+                    }
+
+                    const { apiKey, ...rest } = instance;
+                    return { ...rest, headers };
+                });
+            } else {
+                plain[key] = value;
+            }
+        }
+
+        return { plain, secrets };
+    }
+
+    /**
+     * Settings to store for an import. Secrets come from the file when they were
+     * unlocked; any secret the file has no value for keeps its current value.
+     * @param {object} current - Current settings
+     * @param {object} incoming - Validated settings from parse()
+     * @param {object|null} secrets - Decrypted secrets, or null to keep the current ones
+     * @returns {object} Settings to store (see store())
+     */
+    static merge(current, incoming, secrets) {
+        const merged = { ...incoming };
+        const currentSecrets = this.splitSecrets(current).secrets;
+
+        for (const key of SECRET_KEYS) {
+            if (secrets?.[key]) merged[key] = secrets[key];
+        }
+
+        if (incoming.customProviders) {
+            merged.customProviders = incoming.customProviders.map(instance => {
+                const fileSecrets = secrets?.customProviders[instance.id] || {};
+                const kept = currentSecrets.customProviders[instance.id] || {};
+
+                return {
+                    ...instance,
+                    apiKey: fileSecrets.apiKey || kept.apiKey || '',
+                    headers: { ...instance.headers, ...kept.headers, ...fileSecrets.headers }
+                };
+            });
+        }
+
+        return merged;
+    }
+
+    /**
+     * List what an import would change
+     * @param {object} current - Current settings
+     * @param {object} next - Settings after the import (from merge())
+     * @returns {Array<{label: string, from: string, to: string}>}
+     */
+    static diff(current, next) {
+        const changes = [];
+
+        for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+            if (!(key in next)) continue;
+
+            if (key === 'customProviders') {
+                changes.push(...this._diffItems(rule.label, current[key], next[key], instance => {
+                    const secretHeaders = Object.keys(instance.headers || {}).filter(name => SECRET_HEADER_PATTERN.test(name));
+                    return [
+                        instance.name,
+                        instance.baseUrl,
+                        instance.model || 'default model',
+                        instance.apiKey ? `API key ${this._mask(instance.apiKey)}` : 'no API key',
+                        ...Object.entries(instance.headers || {}).map(([name, value]) =>
+                            `${name}: ${secretHeaders.includes(name) ? this._mask(value) : value}`)
+                    ].join(' · ');
+                }));
+            } else if (key === 'promptTemplates') {
+                changes.push(...this._diffItems(rule.label, current[key], next[key], template =>
+                    `${template.name} (${PromptTemplate.getVersion(template)})`));
+            } else {
+                const from = this._formatValue(key, current[key]);
+                const to = this._formatValue(key, next[key]);
+                if (from !== to) {
+                    changes.push({ label: rule.label, from, to });
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Encrypt secrets with a passphrase
+     * @param {object} secrets - From splitSecrets()
+     * @param {string} passphrase
+     * @returns {Promise<{kdf: string, iterations: number, salt: string, iv: string, data: string}>}
+     */
+    static async encryptSecrets(secrets, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this._deriveKey(passphrase, salt, SECRETS_KDF_ITERATIONS);
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(secrets))
+        );
+
+        return {
+            kdf: 'PBKDF2-SHA256',
+            iterations: SECRETS_KDF_ITERATIONS,
+            salt: this._toBase64(salt),
+            iv: this._toBase64(iv),
+            data: this._toBase64(new Uint8Array(data))
+        };
+    }
+
+    /**
+     * Decrypt secrets from an export file
+     * @param {object} encrypted - encryptedSecrets from the file
+     * @param {string} passphrase
+     * @returns {Promise<object>} Secrets (see splitSecrets)
+     * @throws {Error} If the passphrase is wrong or the data was changed
+     */
+    static async decryptSecrets(encrypted, passphrase) {
+        const iterations = Math.min(Math.max(encrypted.iterations, SECRETS_KDF_ITERATIONS), SECRETS_KDF_MAX_ITERATIONS);
+        const key = await this._deriveKey(passphrase, this._fromBase64(encrypted.salt), iterations);
+        let data;
+
+        try {
+            data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this._fromBase64(encrypted.iv) },
+                key,
+                this._fromBase64(encrypted.data)
+            );
+        } catch (error) {
+            throw new Error('Wrong passphrase, or the file was modified');
+        }
+
+        const secrets = JSON.parse(new TextDecoder().decode(data));
+        return { ...secrets, customProviders: secrets.customProviders || {} };
+    }
+
+    /**
+     * Check a value against its schema rule
+     * @returns {string|null} Error, or null if valid
+     * @private
+     */
+    static _validateValue(rule, value, settings) {
+        switch (rule.type) {
+            case 'string':
+                return typeof value === 'string' ? null : 'must be text';
+
+            case 'url':
+                if (typeof value !== 'string') return 'must be text';
+                return !value || /^https?:\/\/[^/]+/.test(value) ? null : 'must start with http:// or https://';
+
+            case 'integer':
+                if (!Number.isInteger(value)) return 'must be a whole number';
+                return value >= rule.min && value <= rule.max ? null : `must be between ${rule.min} and ${rule.max}`;
+
+            case 'number':
+                if (typeof value !== 'number' || isNaN(value)) return 'must be a number';
+                return value >= rule.min && value <= rule.max ? null : `must be between ${rule.min} and ${rule.max}`;
+
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+
+            case 'enum':
+                return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+
+            case 'languages':
+                if (!Array.isArray(value) || value.length === 0) return 'must be a list of language codes';
+                return value.every(code => typeof code === 'string' && /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(code))
+                    ? null : 'must be language codes such as "en" or "pt-BR"';
+
+            case 'providerOrder': {
+                if (value === null) return null;
+                if (!Array.isArray(value)) return 'must be a list';
+
+                const customIds = this._customProviderIds(settings);
+                const invalid = value.find(entry =>
+                    !entry || typeof entry.enabled !== 'boolean' ||
+                    !(BUILTIN_PROVIDER_IDS.includes(entry.id) || customIds.includes(entry.id)));
+                return invalid ? `unknown provider "${invalid?.id}"` : null;
+            }
+
+            case 'timeouts': {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be a list of timeouts';
+
+                const customIds = this._customProviderIds(settings);
+                for (const [id, seconds] of Object.entries(value)) {
+                    if (!BUILTIN_PROVIDER_IDS.includes(id) && !customIds.includes(id)) return `unknown provider "${id}"`;
+                    if (!Number.isInteger(seconds) || seconds < rule.min || seconds > rule.max) {
+                        return `${id} must be between ${rule.min} and ${rule.max} seconds`;
+                    }
+                }
+                return null;
+            }
+
+            case 'prices': {
+                if (value === null) return null;
+                if (!Array.isArray(value)) return 'must be a list';
+
+                for (const price of value) {
+                    if (!price || typeof price.model !== 'string' || !price.model) return 'a price has no model';
+                    if (typeof price.input !== 'number' || typeof price.output !== 'number' ||
+                        !(price.input >= 0) || !(price.output >= 0)) {
+                        return `${price.model}: prices must be zero or more`;
+                    }
+                }
+                return null;
+            }
+
+            case 'customProviders': {
+                if (!Array.isArray(value)) return 'must be a list';
+
+                for (const instance of value) {
+                    const name = instance?.name || 'unnamed provider';
+                    if (!instance || typeof instance.id !== 'string' || !instance.id) return `${name} has no ID`;
+                    if (typeof instance.name !== 'string' || typeof instance.model !== 'string') return `${name} is malformed`;
+                    if (typeof instance.baseUrl !== 'string' || !/^https?:\/\/[^/]+/.test(instance.baseUrl)) {
+                        return `${name}: base URL must start with http:// or https://`;
+                    }
+                    if (!instance.headers || typeof instance.headers !== 'object' ||
+                        Object.values(instance.headers).some(header => typeof header !== 'string')) {
+                        return `${name}: headers must be text`;
+                    }
+                }
+                return null;
+            }
+
+            case 'promptTemplates': {
+                if (!Array.isArray(value)) return 'must be a list';
+
+                for (const template of value) {
+                    if (!template || typeof template.id !== 'string' || typeof template.name !== 'string' ||
+                        typeof template.prompt !== 'string' || typeof (template.system ?? '') !== 'string') {
+                        return 'a template is malformed';
+                    }
+                    const error = PromptTemplate.validate(template);
+                    if (error) return error;
+                }
+                return null;
+            }
+
+            default:
+                return 'unsupported setting';
+        }
+    }
+
+    /**
+     * Provider IDs ("custom:<id>") of the file's OpenAI-compatible providers. A malformed
+     * list is reported by its own rule, so it counts as empty here.
+     * @private
+     */
+    static _customProviderIds(settings) {
+        const instances = Array.isArray(settings.customProviders) ? settings.customProviders : [];
+        return instances.map(instance => `custom:${instance?.id}`);
+    }
+
+    /**
+     * Added, removed and changed items of a list setting, matched by ID
+     * @private
+     */
+    static _diffItems(label, currentItems = [], nextItems = [], describe) {
+        const changes = [];
+        const currentById = new Map((currentItems || []).map(item => [item.id, item]));
+        const nextIds = new Set(nextItems.map(item => item.id));
+
+        for (const item of nextItems) {
+            const before = currentById.get(item.id);
+            const from = before ? describe(before) : '(none)';
+            const to = describe(item);
+            if (from !== to) {
+                changes.push({ label: `${label} "${item.name}"`, from, to });
+            }
+        }
+
+        for (const item of currentItems || []) {
+            if (!nextIds.has(item.id)) {
+                changes.push({ label: `${label} "${item.name}"`, from: describe(item), to: '(removed)' });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Readable value for the diff; secrets are masked
+     * @private
+     */
+    static _formatValue(key, value) {
+        const rule = SETTINGS_SCHEMA[key];
+
+        if (value === undefined || value === null || value === '') return '(not set)';
+        if (rule.secret) return this._mask(value);
+        if (typeof value === 'boolean') return value ? 'On' : 'Off';
+        if (key === 'providerOrder') {
+            return value.map(entry => `${entry.id}${entry.enabled ? '' : ' (off)'}`).join(', ');
+        }
+        if (key === 'providerTimeouts') {
+            const entries = Object.entries(value);
+            return entries.length ? entries.map(([id, seconds]) => `${id} ${seconds}s`).join(', ') : '(defaults)';
+        }
+        if (key === 'modelPrices') {
+            return value.length
+                ? value.map(price => `${price.model} $${price.input}/$${price.output}`).join(', ')
+                : '(none)';
+        }
+        if (key === 'summaryStyle') return SummaryFormat.getStyle(value).label;
+        if (key === 'outputLanguage') return SummaryFormat.getLanguageName(value);
+        if (Array.isArray(value)) return value.join(', ');
+        return String(value);
+    }
+
+    /**
+     * Show only the last characters of a secret. Values already masked
+     * (current keys, as reported by the service worker) are kept.
+     * @private
+     */
+    static _mask(secret) {
+        if (secret.startsWith('••••')) return secret;
+        return secret.length > 8 ? `••••${secret.slice(-4)}` : '••••';
+    }
+
+    /**
+     * @private
+     */
+    static async _deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * @private
+     */
+    static _toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    /**
+     * @private
+     */
+    static _fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+SettingsTransfer.SCHEMA = SETTINGS_SCHEMA;
+SettingsTransfer.SECRET_KEYS = SECRET_KEYS;
+SettingsTransfer.SECRET_HEADER_PATTERN = SECRET_HEADER_PATTERN;
+
+// Export for the options page and service worker
+self.SettingsTransfer = SettingsTransfer;
@@ -4,8 +4,45 @@
  * So it completely bypasses content script injection issues!
  */
 
-// Store for recent summaries
-let recentSummaries = [];
+// Library of every summary viewed (IndexedDB)
+const library = new SummaryLibrary();
+const LIBRARY_PAGE_SIZE = 20;
+
+// Current library search and the results loaded so far
+const libraryFilters = { query: '', channel: '', provider: '', since: '' };
+let libraryItems = [];
+let libraryTotal = 0;
+let libraryLoading = false;
+let librarySearchId = 0;
+
+// Library items ticked for export (video IDs)
+const librarySelection = new Set();
+
+// Summary currently shown (for timestamp seeking and follow-up questions)
+let currentSummary = null;
+
+// Whether a follow-up question is waiting for an answer
+let chatPending = false;
+
+// Cached variants of the current video (other providers, styles, languages),
+// then those only the library still has
+let cachedVariants = [];
+
+// Window this panel belongs to; only its jobs are listed
+let panelWindowId = null;
+
+// Summary jobs of this window, newest first (see JobQueue), and the one the panel follows
+let jobs = [];
+let currentJobId = null;
+let currentJobStatus = null;
+
+// Jobs already listed; a new one is followed unless the current job is still running
+const knownJobIds = new Set();
+
+const UNFINISHED_JOB_STATUSES = ['queued', 'fetching', 'summarizing'];
+
+// Side-by-side results shown in compare mode ({videoId, metadata, results, sourceTabId})
+let currentComparison = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
@@ -13,31 +50,115 @@ document.addEventListener('DOMContentLoaded', init);
 async function init() {
     console.log('Side panel initialized');
 
-    // Load any recent summaries from storage
-    await loadHistory();
+    panelWindowId = (await chrome.windows.getCurrent()).id;
+
+    // Open a job, or cancel / remove it
+    document.getElementById('jobList').addEventListener('click', (event) => {
+        const item = event.target.closest('.job-item');
+        if (!item) return;
+
+        if (event.target.closest('.job-remove')) {
+            removeJob(item.dataset.jobId);
+        } else {
+            openJob(item.dataset.jobId);
+        }
+    });
+
+    // Load the summary library
+    await initLibrary();
+
+    // Seek the video when a section timestamp is clicked
+    document.getElementById('summaryContainer').addEventListener('click', (event) => {
+        if (event.target.closest('#exportBtn')) {
+            exportSummaries([currentSummary], document.getElementById('exportFormat').value);
+            return;
+        }
+
+        if (event.target.closest('#cancelSummaryBtn')) {
+            cancelSummary();
+            return;
+        }
+
+        const useButton = event.target.closest('.use-summary-btn');
+        if (useButton && currentComparison) {
+            useComparedSummary(Number(useButton.dataset.index));
+            return;
+        }
+
+        // Timestamps also work in a comparison, before any summary is picked
+        const source = currentSummary || currentComparison;
+        const link = event.target.closest('.timestamp-link');
+        if (!link || !source?.videoId) return;
+
+        event.preventDefault();
+        seekToTimestamp(source.videoId, Number(link.dataset.seconds), source.sourceTabId);
+    });
+
+    // Regenerate the current video in another style or language
+    document.getElementById('summaryContainer').addEventListener('change', (event) => {
+        if (event.target.id === 'styleSelect') {
+            regenerateSummary({ style: event.target.value });
+        } else if (event.target.id === 'languageSelect') {
+            regenerateSummary({ language: event.target.value });
+        } else if (event.target.id === 'variantSelect') {
+            showCachedVariant(event.target.value);
+        }
+    });
+
+    // Follow-up questions
+    document.getElementById('summaryContainer').addEventListener('submit', (event) => {
+        if (event.target.id !== 'chatForm') return;
+
+        event.preventDefault();
+        askQuestion();
+    });
 
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         console.log('Side panel received message:', message);
 
+        // Jobs the panel isn't following are only listed
+        if (message.jobId && message.jobId !== currentJobId) return;
+
+        if (message.action === 'jobsUpdated') {
+            updateJobs(message.jobs);
+        }
+
         if (message.action === 'showSummary') {
             showSummary(message.data);
         }
 
-        if (message.action === 'showLoading') {
-            showLoading(message.title);
+        if (message.action === 'showComparison') {
+            showComparison(message.data);
+        }
+
+        if (message.action === 'summaryProgress') {
+            showProgress(message.progress);
+        }
+
+        if (message.action === 'summaryStream') {
+            showStreamingText(message.provider, message.text);
         }
 
         if (message.action === 'showError') {
             showError(message.error);
         }
+
+        // Finished jobs are saved to the library by the service worker
+        if (message.action === 'libraryUpdated') {
+            loadLibraryFilters().then(loadHistory);
+        }
     });
+
+    await loadJobs();
 }
 
 /**
  * Show loading state
+ * @param {string} title - Video title
+ * @param {string} [status] - Job status, for the loading text
  */
-function showLoading(title) {
+function showLoading(title, status = 'summarizing') {
     updateStatus('loading', 'Generating...');
 
     const container = document.getElementById('summaryContainer');
@@ -51,17 +172,110 @@ function showLoading(title) {
       <div class="video-title">${escapeHtml(title || 'Loading video...')}</div>
       <div class="loading-spinner">
         <div class="spinner"></div>
-        <div class="loading-text">AI is analyzing the video...</div>
+        <div class="loading-text">${getLoadingText(status)}</div>
+        <button class="copy-btn" id="cancelSummaryBtn">✕ Cancel</button>
       </div>
+      <div class="summary-text stream-preview" style="display: none;"></div>
+    </div>
+  `;
+}
+
+/**
+ * Loading text for a job status
+ */
+function getLoadingText(status) {
+    if (status === 'queued') return 'Waiting for other summaries to finish...';
+    if (status === 'fetching') return 'Fetching transcript...';
+    return 'AI is analyzing the video...';
+}
+
+/**
+ * Stop the summary job this panel is following
+ */
+async function cancelSummary() {
+    const jobId = currentJobId;
+    currentJobId = null;
+
+    try {
+        await chrome.runtime.sendMessage({ action: 'removeJob', jobId });
+    } catch (error) {
+        console.error('Failed to cancel summary:', error);
+    }
+
+    updateStatus('ready', 'Cancelled');
+
+    const title = document.querySelector('#summaryContainer .video-title')?.textContent;
+    document.getElementById('summaryContainer').innerHTML = `
+    <div class="video-card">
+      ${title ? `<div class="video-title">${escapeHtml(title)}</div>` : ''}
+      <div class="loading-text">Summary cancelled.</div>
     </div>
   `;
 }
 
+/**
+ * Show progress of a long (chunked) summary
+ */
+function showProgress(progress) {
+    const loadingText = document.querySelector('#summaryContainer .loading-text');
+    if (!loadingText || !progress) return;
+
+    const provider = (progress.provider || 'AI').toUpperCase();
+
+    if (progress.stage === 'chunk') {
+        loadingText.textContent = `Summarizing chunk ${progress.current}/${progress.total} with ${provider}...`;
+    } else if (progress.stage === 'condense') {
+        loadingText.textContent = `Condensing notes ${progress.current}/${progress.total} with ${provider}...`;
+    } else if (progress.stage === 'merge') {
+        loadingText.textContent = `Merging partial summaries with ${provider}...`;
+    } else if (progress.stage === 'failed') {
+        // Discard any partial text streamed by the failed provider
+        const preview = document.querySelector('#summaryContainer .stream-preview');
+        if (preview) {
+            preview.textContent = '';
+            preview.style.display = 'none';
+        }
+        loadingText.textContent = `${provider} failed, trying next provider...`;
+    } else if (progress.stage === 'race') {
+        loadingText.textContent = `Asking ${progress.total} providers at once, the fastest answer wins...`;
+    } else if (progress.stage === 'compare') {
+        loadingText.textContent = `${progress.current}/${progress.total} providers finished (${provider} done)...`;
+    } else if (progress.stage === 'retry') {
+        const reason = progress.status === 429
+            ? `rate limited${progress.limit ? ` (${progress.limit})` : ''}`
+            : 'unavailable';
+        loadingText.textContent = `${provider} ${reason}, retrying in ${progress.seconds}s...`;
+    }
+}
+
+/**
+ * Show summary text as it streams in from the provider
+ */
+function showStreamingText(provider, text) {
+    const preview = document.querySelector('#summaryContainer .stream-preview');
+    const loadingText = document.querySelector('#summaryContainer .loading-text');
+    if (!preview) return;
+
+    preview.style.display = 'block';
+    preview.textContent = text;
+
+    if (loadingText) {
+        loadingText.textContent = `Receiving summary from ${(provider || 'AI').toUpperCase()}...`;
+    }
+}
+
 /**
  * Show summary result
+ * @param {object} data - Summary data
  */
-function showSummary(data) {
+async function showSummary(data) {
     updateStatus('ready', 'Summary Ready');
+    currentComparison = null;
+
+    // The conversation is kept per video, across regenerated summaries
+    const previous = data.conversation ? null : await library.get(data.videoId).catch(() => null);
+    data = { ...data, conversation: data.conversation || previous?.conversation || [] };
+    currentSummary = data;
 
     const container = document.getElementById('summaryContainer');
     const emptyState = document.getElementById('emptyState');
@@ -69,18 +283,7 @@ function showSummary(data) {
     emptyState.style.display = 'none';
     container.style.display = 'block';
 
-    const providerEmoji = {
-        'gemini': '🤖',
-        'deepseek': '🧠',
-        'local': '💻'
-    };
-    const emoji = providerEmoji[data.provider?.toLowerCase()] || '✨';
-
-    // Format summary - handle both string and array
-    let summaryText = data.summary;
-    if (Array.isArray(summaryText)) {
-        summaryText = summaryText.join('\n\n');
-    }
+    const emoji = getProviderEmoji(data.provider);
 
     container.innerHTML = `
     <div class="video-card">
@@ -88,23 +291,530 @@ function showSummary(data) {
       ${data.metadata?.channel ? `<div class="video-channel">${escapeHtml(data.metadata.channel)}</div>` : ''}
       
       <div class="provider-badge">
-        ${emoji} ${(data.provider || 'AI').toUpperCase()}
+        ${emoji} ${escapeHtml((data.providerName || data.provider || 'AI').toUpperCase())}
         ${data.fromCache ? ' • Cached' : ''}
       </div>
+
+      ${renderBudgetWarning(data)}
+
+      ${renderTrackInfo(data)}
+
+      ${renderUsageInfo(data)}
+
+      ${renderSummaryOptions(data)}
+
+      <div class="style-picker variant-picker" id="variantPicker" style="display: none;"></div>
+
+      ${renderStructuredSummary(data)}
+
+      ${renderSections(data)}
       
+      <div class="summary-actions">
+        <button class="copy-btn" onclick="copySummary()">
+          📋 Copy Summary
+        </button>
+        <select class="style-select export-format" id="exportFormat">
+          ${renderExportFormatOptions()}
+        </select>
+        <button class="copy-btn" id="exportBtn">⬇️ Export</button>
+      </div>
+    </div>
+
+    ${renderChat(data)}
+  `;
+
+    loadCachedVariants(data);
+}
+
+/**
+ * Show the summaries of every provider side by side (compare mode)
+ */
+function showComparison(data) {
+    const succeeded = data.results.filter(result => !result.error).length;
+    updateStatus('ready', `${succeeded}/${data.results.length} Summaries`);
+
+    currentComparison = data;
+    currentSummary = null;
+
+    const container = document.getElementById('summaryContainer');
+    const emptyState = document.getElementById('emptyState');
+
+    emptyState.style.display = 'none';
+    container.style.display = 'block';
+
+    const cards = data.results.map((result, index) => `
+      <div class="video-card comparison-card ${result.error ? 'failed' : ''}">
+        <div class="provider-badge">
+          ${getProviderEmoji(result.provider)} ${escapeHtml((result.providerName || result.provider).toUpperCase())}
+          ${result.elapsed !== null && result.elapsed !== undefined ? ` • ${(result.elapsed / 1000).toFixed(1)}s` : ''}
+        </div>
+        ${renderUsageInfo(result)}
+        ${result.error
+            ? `<div class="summary-text comparison-error">${escapeHtml(result.error)}</div>`
+            : `${renderStructuredSummary(result)}
+               ${renderSections(result)}
+               <button class="copy-btn use-summary-btn" data-index="${index}">✔️ Use This Summary</button>`}
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="video-card">
+      <div class="video-title">${escapeHtml(data.metadata?.title || 'Video Summary')}</div>
+      ${data.metadata?.channel ? `<div class="video-channel">${escapeHtml(data.metadata.channel)}</div>` : ''}
+      ${renderBudgetWarning(data)}
+      ${renderTrackInfo(data)}
+    </div>
+    <div class="comparison">${cards}</div>
+  `;
+}
+
+/**
+ * Continue with one summary of a comparison: show it on its own (with chat)
+ * and make it the video's latest summary in the library
+ */
+async function useComparedSummary(index) {
+    const result = currentComparison.results[index];
+    if (!result || result.error) return;
+
+    const { elapsed, ...summary } = result;
+    showSummary({ ...summary, sourceTabId: currentComparison.sourceTabId });
+
+    try {
+        const existing = SummaryLibrary.getVariants(await library.get(summary.videoId))
+            .find(item => item.variantId === summary.cacheKey);
+        await library.save({ ...existing, ...summary });
+    } catch (error) {
+        console.error('Failed to save to library:', error);
+    }
+
+    await loadLibraryFilters();
+    await loadHistory();
+}
+
+/**
+ * Badge emoji for a provider
+ */
+function getProviderEmoji(provider) {
+    const providerEmoji = {
+        'gemini': '🤖',
+        'deepseek': '🧠',
+        'local': '💻'
+    };
+    return provider?.startsWith('custom:') ? '🔌' : providerEmoji[provider?.toLowerCase()] || '✨';
+}
+
+/**
+ * Fetch the cached variants of a video, and those kept in the library after
+ * their cache entry expired, and offer them in a switcher
+ */
+async function loadCachedVariants(data) {
+    if (!data.videoId) return;
+
+    try {
+        const [response, entry] = await Promise.all([
+            chrome.runtime.sendMessage({ action: 'getCachedVariants', videoId: data.videoId }),
+            library.get(data.videoId).catch(() => null)
+        ]);
+        if (currentSummary !== data) return;
+
+        const cached = response?.variants || [];
+        const saved = SummaryLibrary.getVariants(entry)
+            .filter(item => !cached.some(variant => variant.cacheKey === item.variantId))
+            .map(item => ({
+                cacheKey: item.variantId,
+                cachedAt: item.savedAt,
+                variant: item.variant || { provider: item.provider },
+                data: item,
+                saved: true
+            }));
+
+        cachedVariants = [...cached, ...saved];
+        renderVariantPicker(data);
+    } catch (error) {
+        console.error('Failed to load cached variants:', error);
+    }
+}
+
+/**
+ * Render the cached variant switcher, if there is anything to switch to
+ */
+function renderVariantPicker(data) {
+    const picker = document.getElementById('variantPicker');
+    if (!picker) return;
+
+    const others = cachedVariants.filter(item => item.cacheKey !== data.cacheKey);
+    if (others.length === 0) {
+        picker.style.display = 'none';
+        return;
+    }
+
+    const options = cachedVariants.map(item => {
+        const { variant } = item;
+        const parts = [
+            item.data.providerName || variant.provider,
+            variant.style && SummaryFormat.getStyle(variant.style).label,
+            SummaryFormat.LANGUAGES[variant.language] || variant.language,
+            variant.templateName,
+            formatTime(item.cachedAt)
+        ].filter(Boolean);
+
+        return `<option value="${escapeHtml(item.cacheKey)}" ${item.cacheKey === data.cacheKey ? 'selected' : ''}>` +
+            `${escapeHtml(parts.join(' · '))}</option>`;
+    });
+
+    // The shown summary may not be cached (e.g. from history after the cache expired)
+    if (!cachedVariants.some(item => item.cacheKey === data.cacheKey)) {
+        options.unshift('<option value="" selected>Current summary</option>');
+    }
+
+    picker.innerHTML = `
+        <label for="variantSelect">Versions</label>
+        <select id="variantSelect" class="style-select">${options.join('')}</select>
+    `;
+    picker.style.display = 'flex';
+}
+
+/**
+ * Show another cached or saved variant of the current video
+ */
+function showCachedVariant(cacheKey) {
+    const item = cachedVariants.find(entry => entry.cacheKey === cacheKey);
+    if (!item || !currentSummary) return;
+
+    showSummary({
+        ...item.data,
+        cacheKey: item.cacheKey,
+        sourceTabId: currentSummary.sourceTabId,
+        fromCache: !item.saved
+    });
+}
+
+/**
+ * Tokens used for the summary and its estimated cost
+ */
+function renderUsageInfo(data) {
+    const usage = data.usage;
+    if (!usage) return '';
+
+    const formatTokens = count => count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+    const cost = usage.cost === null || usage.cost === undefined
+        ? 'no price set'
+        : `$${usage.cost.toFixed(usage.cost > 0 && usage.cost < 0.01 ? 4 : 2)}`;
+
+    return `<div class="track-info">🪙 ${formatTokens(usage.promptTokens)} in / ` +
+        `${formatTokens(usage.completionTokens)} out · ${escapeHtml(cost)}</div>`;
+}
+
+/**
+ * Warning when most of the monthly budget is spent (only sent with new summaries)
+ */
+function renderBudgetWarning(data) {
+    if (!data.budgetWarning) return '';
+    return `<div class="budget-warning">⚠️ ${escapeHtml(data.budgetWarning)}</div>`;
+}
+
+/**
+ * Describe the caption track the summary was made from
+ */
+function renderTrackInfo(data) {
+    const track = data.metadata?.track;
+    if (!track) return '';
+
+    const kind = track.kind === 'asr' ? 'auto-generated' : 'manual';
+    const text = track.translated
+        ? `${track.sourceLanguageName} captions (${kind}), translated to ${track.languageName}`
+        : `${track.languageName} captions (${kind})`;
+
+    return `<div class="track-info">💬 ${escapeHtml(text)}</div>`;
+}
+
+/**
+ * Render the style and language selectors for regenerating the summary
+ */
+function renderSummaryOptions(data) {
+    if (!data.videoId) return '';
+
+    const currentStyle = SummaryFormat.getStyle(data.style).id;
+    const styles = Object.entries(SummaryFormat.STYLES).map(([id, style]) =>
+        `<option value="${id}" ${id === currentStyle ? 'selected' : ''}>${escapeHtml(style.label)}</option>`
+    ).join('');
+
+    const currentLanguage = SummaryFormat.getLanguage(data.language);
+    const languages = Object.entries(SummaryFormat.LANGUAGES).map(([code, name]) =>
+        `<option value="${code}" ${code === currentLanguage ? 'selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+
+    return `
+      <div class="style-picker">
+        <label for="styleSelect">Style</label>
+        <select id="styleSelect" class="style-select">${styles}</select>
+        <label for="languageSelect">Language</label>
+        <select id="languageSelect" class="style-select">${languages}</select>
+      </div>
+    `;
+}
+
+/**
+ * Ask the background to summarize the current video again,
+ * keeping the current style and language unless overridden
+ * @param {object} overrides - {style} and/or {language}
+ */
+async function regenerateSummary(overrides) {
+    if (!currentSummary?.videoId) return;
+
+    const { videoId, sourceTabId, metadata, style, language } = currentSummary;
+    showLoading(metadata?.title);
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'summarizeVideo',
+            videoId,
+            title: metadata?.title,
+            tabId: sourceTabId,
+            windowId: panelWindowId,
+            style,
+            language,
+            ...overrides
+        });
+        if (response.error) throw new Error(response.error);
+
+        currentJobId = response.jobId;
+        renderJobs();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Render disclaimer, summary and takeaways using the summary's style
+ * (headings, and bullets vs. paragraphs).
+ * Older history entries may have a plain string summary.
+ */
+function renderStructuredSummary(data) {
+    const style = SummaryFormat.getStyle(data.style);
+    let html = '';
+
+    if (data.disclaimer) {
+        html += `<div class="summary-disclaimer">⚠️ ${escapeHtml(data.disclaimer)}</div>`;
+    }
+
+    if (Array.isArray(data.summary) && data.summary.length > 0) {
+        const content = style.render === 'paragraphs'
+            ? data.summary.map(item => `<p class="summary-paragraph">${escapeHtml(item)}</p>`).join('')
+            : `<ul class="summary-list">
+            ${data.summary.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+          </ul>`;
+
+        html += `
+      <div class="summary-section">
+        <div class="section-title">${escapeHtml(style.labels.summary)}</div>
+        <div class="summary-text">
+          ${content}
+        </div>
+      </div>`;
+    } else if (typeof data.summary === 'string' && data.summary) {
+        html += `
+      <div class="summary-section">
+        <div class="section-title">${escapeHtml(style.labels.summary)}</div>
+        <div class="summary-text">${escapeHtml(data.summary)}</div>
+      </div>`;
+    }
+
+    if (data.takeaways && data.takeaways.length > 0) {
+        html += `
       <div class="summary-section">
-        <div class="section-title">Summary</div>
-        <div class="summary-text">${escapeHtml(summaryText)}</div>
+        <div class="section-title">${escapeHtml(style.labels.takeaways)}</div>
+        <ol class="takeaways-list">
+          ${data.takeaways.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+        </ol>
+      </div>`;
+    }
+
+    return html;
+}
+
+/**
+ * Render timestamped summary sections
+ */
+function renderSections(data) {
+    if (!data.sections || data.sections.length === 0) return '';
+
+    const items = data.sections.map(section => `
+      <div class="summary-chapter">
+        <div class="chapter-heading">
+          <a class="timestamp-link" href="${data.videoId ? TimestampUtils.buildWatchUrl(data.videoId, section.start) : '#'}"
+            data-seconds="${section.start}">${TimestampUtils.format(section.start)}</a>
+          <span class="chapter-title">${escapeHtml(section.title)}</span>
+        </div>
+        ${section.summary ? `<div class="chapter-text">${escapeHtml(section.summary)}</div>` : ''}
       </div>
-      
-      <button class="copy-btn" onclick="copySummary()">
-        📋 Copy Summary
-      </button>
+    `).join('');
+
+    return `
+      <div class="summary-section">
+        <div class="section-title">Sections</div>
+        ${items}
+      </div>
+    `;
+}
+
+/**
+ * Render the follow-up question box under the summary card
+ */
+function renderChat(data) {
+    if (!data.videoId) return '';
+
+    return `
+    <div class="video-card chat-card">
+      <div class="section-title">Ask About This Video</div>
+      <div class="chat-messages" id="chatMessages">
+        ${renderChatMessages(data)}
+      </div>
+      <form class="chat-form" id="chatForm">
+        <input type="text" class="chat-input" id="chatInput" placeholder="What did they say about pricing?"
+          autocomplete="off" ${chatPending ? 'disabled' : ''}>
+        <button type="submit" class="chat-send-btn" ${chatPending ? 'disabled' : ''}>Ask</button>
+      </form>
     </div>
   `;
+}
+
+/**
+ * Render conversation turns, linking [m:ss] citations to the video
+ */
+function renderChatMessages(data, pending = false) {
+    const turns = (data.conversation || []).map(turn => `
+      <div class="chat-message ${turn.role}">
+        ${turn.provider ? `<div class="chat-provider">${escapeHtml(turn.provider.toUpperCase())}</div>` : ''}
+        <div class="chat-bubble">${linkifyTimestamps(escapeHtml(turn.content), data.videoId)}</div>
+      </div>
+    `).join('');
+
+    const thinking = pending
+        ? '<div class="chat-message assistant"><div class="chat-bubble chat-thinking">Thinking...</div></div>'
+        : '';
+
+    return turns + thinking;
+}
+
+/**
+ * Turn [m:ss] citations in already-escaped text into timestamp links
+ */
+function linkifyTimestamps(html, videoId) {
+    return html.replace(/\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g, (match, timestamp) => {
+        const seconds = TimestampUtils.parse(timestamp);
+        return `<a class="timestamp-link" href="${TimestampUtils.buildWatchUrl(videoId, seconds)}"
+          data-seconds="${seconds}">${timestamp}</a>`;
+    });
+}
+
+/**
+ * Send a follow-up question about the current video
+ */
+async function askQuestion() {
+    const input = document.getElementById('chatInput');
+    const question = input?.value.trim();
+    if (!question || !currentSummary?.videoId || chatPending) return;
+
+    const summary = currentSummary;
+    const history = summary.conversation.map(({ role, content }) => ({ role, content }));
+
+    summary.conversation = [...summary.conversation, { role: 'user', content: question }];
+    chatPending = true;
+    updateChat(summary);
+
+    let error = null;
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'askQuestion',
+            videoId: summary.videoId,
+            question,
+            history,
+            language: summary.language
+        });
+
+        if (!response || response.error) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        summary.conversation.push({
+            role: 'assistant',
+            content: response.answer,
+            provider: response.providerName || response.provider
+        });
+        await saveConversation(summary);
+
+    } catch (err) {
+        // Drop the unanswered question so it isn't sent as history next time
+        summary.conversation.pop();
+        error = err;
+    }
+
+    chatPending = false;
+    updateChat(summary, error);
+
+    if (error && currentSummary === summary) {
+        document.getElementById('chatInput').value = question;
+    }
+}
+
+/**
+ * Re-render the conversation if its video is still shown
+ */
+function updateChat(summary, error = null) {
+    if (currentSummary !== summary) return;
+
+    const messages = document.getElementById('chatMessages');
+    const input = document.getElementById('chatInput');
+    const button = document.querySelector('.chat-send-btn');
+    if (!messages) return;
 
-    // Add to history
-    addToHistory(data);
+    messages.innerHTML = renderChatMessages(summary, chatPending) +
+        (error ? `<div class="chat-error">${escapeHtml(error.message)}</div>` : '');
+    messages.scrollTop = messages.scrollHeight;
+
+    input.disabled = chatPending;
+    button.disabled = chatPending;
+    if (!chatPending) input.focus();
+}
+
+/**
+ * Save a video's conversation next to its summary in the library
+ */
+async function saveConversation(summary) {
+    await library.update(summary.videoId, { conversation: summary.conversation });
+}
+
+/**
+ * Seek the source tab to a timestamp. Navigates the tab to the video if it
+ * is showing something else, or opens a new tab if it has been closed.
+ */
+async function seekToTimestamp(videoId, seconds, tabId) {
+    const url = TimestampUtils.buildWatchUrl(videoId, seconds);
+
+    try {
+        const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+
+        if (!tab) {
+            await chrome.tabs.create({ url });
+            return;
+        }
+
+        const response = await chrome.tabs.sendMessage(tab.id, {
+            action: 'seekTo',
+            videoId,
+            seconds
+        }).catch(() => null);
+
+        if (response?.ok) {
+            await chrome.tabs.update(tab.id, { active: true });
+        } else {
+            await chrome.tabs.update(tab.id, { url, active: true });
+        }
+    } catch (error) {
+        console.error('Failed to seek video:', error);
+    }
 }
 
 /**
@@ -147,7 +857,7 @@ function updateStatus(type, text) {
  * Copy summary to clipboard
  */
 async function copySummary() {
-    const summaryText = document.querySelector('.summary-text')?.textContent;
+    const summaryText = currentSummary ? formatSummaryText(currentSummary) : '';
     if (summaryText) {
         await navigator.clipboard.writeText(summaryText);
 
@@ -161,69 +871,408 @@ async function copySummary() {
 }
 
 /**
- * Add summary to history
+ * Format a summary as plain text for the clipboard
+ */
+function formatSummaryText(data) {
+    const style = SummaryFormat.getStyle(data.style);
+    const parts = [];
+
+    if (data.metadata?.title) parts.push(data.metadata.title);
+    if (data.disclaimer) parts.push(`⚠️ ${data.disclaimer}`);
+
+    if (Array.isArray(data.summary) && data.summary.length > 0) {
+        parts.push(style.render === 'paragraphs'
+            ? data.summary.join('\n\n')
+            : data.summary.map(item => `• ${item}`).join('\n'));
+    } else if (typeof data.summary === 'string' && data.summary) {
+        parts.push(data.summary);
+    }
+
+    if (data.takeaways && data.takeaways.length > 0) {
+        parts.push(`${style.labels.takeaways}:\n` + data.takeaways.map((item, i) => `${i + 1}. ${item}`).join('\n'));
+    }
+
+    if (data.sections && data.sections.length > 0) {
+        parts.push('Sections:\n' + data.sections.map(section =>
+            `[${TimestampUtils.format(section.start)}] ${section.title}${section.summary ? ` - ${section.summary}` : ''}`
+        ).join('\n'));
+    }
+
+    return parts.join('\n\n');
+}
+
+/**
+ * Options for an export format select
+ */
+function renderExportFormatOptions() {
+    return Object.entries(SummaryExport.FORMATS)
+        .map(([id, format]) => `<option value="${id}">${escapeHtml(format.label)}</option>`)
+        .join('');
+}
+
+/**
+ * Download summaries in the chosen format
+ * @param {Array<object>} summaries
+ * @param {string} format - Key of SummaryExport.FORMATS
+ * @param {boolean} [zip] - One file per summary in a zip
+ */
+function exportSummaries(summaries, format, zip = false) {
+    if (summaries.length === 0) return;
+
+    const { name, blob } = SummaryExport.build(summaries, format, { zip });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = name;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Set up search, filters and paging of the library
  */
-async function addToHistory(data) {
-    recentSummaries.unshift({
-        ...data,
-        timestamp: Date.now()
+async function initLibrary() {
+    let searchTimer = null;
+    document.getElementById('librarySearch').addEventListener('input', (event) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            libraryFilters.query = event.target.value.trim();
+            loadHistory();
+        }, 200);
     });
 
-    // Keep only last 10
-    recentSummaries = recentSummaries.slice(0, 10);
+    document.getElementById('libraryFilters').addEventListener('change', (event) => {
+        const filter = event.target.dataset.filter;
+        if (!filter) return;
 
-    // Save to storage
-    await chrome.storage.local.set({ recentSummaries });
+        libraryFilters[filter] = event.target.value;
+        loadHistory();
+    });
 
-    // Update UI
-    renderHistory();
+    document.getElementById('historyList').addEventListener('click', (event) => {
+        const item = event.target.closest('.history-item');
+        if (!item) return;
+
+        if (event.target.closest('.history-select')) {
+            toggleLibrarySelection(item.dataset.videoId, event.target.checked);
+        } else if (event.target.closest('.history-delete')) {
+            deleteHistoryItem(item.dataset.videoId);
+        } else {
+            showHistoryItem(item.dataset.videoId);
+        }
+    });
+
+    // Export of selected items
+    document.getElementById('libraryExportFormat').innerHTML = renderExportFormatOptions();
+    document.getElementById('librarySelectAll').addEventListener('click', () => {
+        libraryItems.forEach(item => librarySelection.add(item.videoId));
+        renderHistory();
+    });
+    document.getElementById('librarySelectClear').addEventListener('click', () => {
+        librarySelection.clear();
+        renderHistory();
+    });
+    document.getElementById('libraryExportBtn').addEventListener('click', exportLibrarySelection);
+
+    // Load the next page when the end of the list scrolls into view
+    const moreButton = document.getElementById('libraryMoreBtn');
+    moreButton.addEventListener('click', () => loadHistory(true));
+    new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadHistory(true);
+        }
+    }).observe(moreButton);
+
+    await loadLibraryFilters();
+    await loadHistory();
+}
+
+/**
+ * Fill the channel and provider filters from what is in the library
+ */
+async function loadLibraryFilters() {
+    try {
+        const { channels, providers } = await library.getFacets();
+
+        renderFilterOptions('libraryChannel', 'All channels',
+            channels.map(channel => ({ value: channel, label: channel })));
+        renderFilterOptions('libraryProvider', 'All providers',
+            providers.map(provider => ({ value: provider.id, label: provider.name })));
+    } catch (error) {
+        console.error('Failed to load library filters:', error);
+    }
+}
+
+/**
+ * Replace a filter's options, keeping the current choice
+ */
+function renderFilterOptions(id, allLabel, options) {
+    const select = document.getElementById(id);
+    const selected = libraryFilters[select.dataset.filter];
+
+    select.innerHTML = `<option value="">${allLabel}</option>` + options.map(option => `
+    <option value="${escapeHtml(option.value)}" ${option.value === selected ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+  `).join('');
 }
 
 /**
- * Load history from storage
+ * Search the library with the current filters
+ * @param {boolean} [append] - Load the next page instead of starting over
  */
-async function loadHistory() {
+async function loadHistory(append = false) {
+    if (append && (libraryLoading || libraryItems.length >= libraryTotal)) return;
+
+    // A newer search replaces any that is still running
+    const searchId = ++librarySearchId;
+    libraryLoading = true;
+
     try {
-        const result = await chrome.storage.local.get('recentSummaries');
-        recentSummaries = result.recentSummaries || [];
+        const { libraryIncludeTranscripts } = await chrome.storage.sync.get({ libraryIncludeTranscripts: false });
+        const { items, total } = await library.search({
+            ...libraryFilters,
+            includeTranscripts: libraryIncludeTranscripts,
+            offset: append ? libraryItems.length : 0,
+            limit: LIBRARY_PAGE_SIZE
+        });
+
+        if (searchId !== librarySearchId) return;
+
+        libraryItems = append ? [...libraryItems, ...items] : items;
+        libraryTotal = total;
         renderHistory();
     } catch (error) {
         console.error('Failed to load history:', error);
+    } finally {
+        if (searchId === librarySearchId) libraryLoading = false;
     }
 }
 
 /**
- * Render history list
+ * Render the library list
  */
 function renderHistory() {
     const section = document.getElementById('historySection');
     const list = document.getElementById('historyList');
+    const filtered = Object.values(libraryFilters).some(Boolean);
 
-    if (recentSummaries.length === 0) {
+    if (libraryTotal === 0 && !filtered) {
         section.style.display = 'none';
         return;
     }
 
     section.style.display = 'block';
+    document.getElementById('libraryCount').textContent = libraryTotal;
+    document.getElementById('libraryEmpty').style.display = libraryTotal === 0 ? 'block' : 'none';
+    document.getElementById('libraryMoreBtn').style.display = libraryItems.length < libraryTotal ? 'block' : 'none';
+
+    const exportBar = document.getElementById('libraryExport');
+    exportBar.style.display = librarySelection.size > 0 ? 'flex' : 'none';
+    document.getElementById('librarySelectedCount').textContent = `${librarySelection.size} selected`;
 
-    list.innerHTML = recentSummaries.map((item, index) => `
-    <div class="history-item" onclick="showHistoryItem(${index})">
+    list.innerHTML = libraryItems.map(item => `
+    <div class="history-item" data-video-id="${escapeHtml(item.videoId)}">
+      <input type="checkbox" class="history-select" title="Select for export" ${librarySelection.has(item.videoId) ? 'checked' : ''}>
+      <button class="history-delete" title="Remove from library">✕</button>
       <div class="history-title">${escapeHtml(item.metadata?.title || 'Unknown Video')}</div>
-      <div class="history-meta">${formatTime(item.timestamp)} • ${item.provider || 'AI'}</div>
+      <div class="history-meta">
+        ${formatTime(item.savedAt)}${item.metadata?.channel ? ` • ${escapeHtml(item.metadata.channel)}` : ''} • ${escapeHtml(item.providerName || item.provider || 'AI')}
+      </div>
     </div>
   `).join('');
 }
 
 /**
- * Show a history item
+ * Show a library item
  */
-function showHistoryItem(index) {
-    const item = recentSummaries[index];
+async function showHistoryItem(videoId) {
+    const item = await library.get(videoId);
     if (item) {
+        // A job finishing now stays in the job list instead of replacing this
+        currentJobId = null;
+        renderJobs();
         showSummary(item);
     }
 }
 
+/**
+ * Load the job list when the panel opens
+ */
+async function loadJobs() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getJobs' });
+        if (response.error) throw new Error(response.error);
+
+        updateJobs(response.jobs);
+    } catch (error) {
+        console.error('Failed to load jobs:', error);
+    }
+}
+
+/**
+ * Take in a new job list: follow a new job if the panel isn't following
+ * one in progress, and keep the loading text in step with the job's status
+ * @param {Array<object>} allJobs - Jobs of every window, newest first
+ */
+function updateJobs(allJobs) {
+    jobs = allJobs.filter(job => job.windowId === panelWindowId || job.windowId === null);
+
+    const added = jobs.filter(job => !knownJobIds.has(job.id));
+    added.forEach(job => knownJobIds.add(job.id));
+
+    const current = jobs.find(job => job.id === currentJobId);
+    if (current && UNFINISHED_JOB_STATUSES.includes(current.status)) {
+        if (current.status !== currentJobStatus) {
+            const loadingText = document.querySelector('#summaryContainer .loading-text');
+            if (loadingText) loadingText.textContent = getLoadingText(current.status);
+        }
+    } else {
+        // The oldest new job still running
+        const next = added.filter(job => UNFINISHED_JOB_STATUSES.includes(job.status)).pop();
+        if (next) {
+            currentJobId = next.id;
+            showLoading(next.title, next.status);
+        }
+    }
+
+    currentJobStatus = jobs.find(job => job.id === currentJobId)?.status || null;
+    renderJobs();
+}
+
+/**
+ * Render the job list. It is hidden while the only job is the one being shown.
+ */
+function renderJobs() {
+    const section = document.getElementById('jobsSection');
+
+    if (!jobs.some(job => job.id !== currentJobId)) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const labels = {
+        queued: '⏳ Queued',
+        fetching: '📥 Fetching transcript',
+        summarizing: '✨ Summarizing',
+        done: '✅ Done',
+        failed: '❌ Failed'
+    };
+
+    section.style.display = 'block';
+    document.getElementById('jobCount').textContent = jobs.filter(job => UNFINISHED_JOB_STATUSES.includes(job.status)).length || '';
+    document.getElementById('jobList').innerHTML = jobs.map(job => {
+        const unfinished = UNFINISHED_JOB_STATUSES.includes(job.status);
+
+        return `
+    <div class="history-item job-item ${job.id === currentJobId ? 'active' : ''}" data-job-id="${escapeHtml(job.id)}"
+      title="${escapeHtml(job.error || '')}">
+      <button class="history-delete job-remove" title="${unfinished ? 'Cancel' : 'Remove from list'}">✕</button>
+      <div class="history-title">${escapeHtml(job.title || 'YouTube Video')}</div>
+      <div class="history-meta">
+        ${labels[job.status] || escapeHtml(job.status)} • ${formatTime(job.createdAt)}${job.style ? ` • ${escapeHtml(SummaryFormat.getStyle(job.style).label)}` : ''}
+      </div>
+    </div>
+  `;
+    }).join('');
+}
+
+/**
+ * Show a job: its result when done, its error when failed, else follow its progress
+ */
+async function openJob(jobId) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getJob', jobId });
+        if (response.error) throw new Error(response.error);
+
+        const job = response.job;
+        if (!job) return;
+
+        currentJobId = job.id;
+        currentJobStatus = job.status;
+        renderJobs();
+
+        if (job.status === 'done') {
+            if (job.comparison) {
+                showComparison(job.result);
+            } else {
+                showSummary(job.result);
+            }
+        } else if (job.status === 'failed') {
+            showError(job.error);
+        } else {
+            showLoading(job.title, job.status);
+        }
+    } catch (error) {
+        console.error('Failed to open job:', error);
+    }
+}
+
+/**
+ * Cancel a job, or remove a finished one from the list
+ */
+async function removeJob(jobId) {
+    const job = jobs.find(item => item.id === jobId);
+
+    // Cancelling the job on screen also clears the loading view
+    if (job && jobId === currentJobId && UNFINISHED_JOB_STATUSES.includes(job.status)) {
+        await cancelSummary();
+        return;
+    }
+
+    try {
+        await chrome.runtime.sendMessage({ action: 'removeJob', jobId });
+    } catch (error) {
+        console.error('Failed to remove job:', error);
+    }
+}
+
+/**
+ * Tick or untick a library item for export
+ */
+function toggleLibrarySelection(videoId, selected) {
+    if (selected) {
+        librarySelection.add(videoId);
+    } else {
+        librarySelection.delete(videoId);
+    }
+    renderHistory();
+}
+
+/**
+ * Download the selected library items, newest first
+ */
+async function exportLibrarySelection() {
+    try {
+        const entries = await Promise.all([...librarySelection].map(videoId => library.get(videoId)));
+        const summaries = entries.filter(Boolean).sort((a, b) => b.savedAt - a.savedAt);
+
+        exportSummaries(
+            summaries,
+            document.getElementById('libraryExportFormat').value,
+            document.getElementById('libraryExportPackaging').value === 'zip'
+        );
+    } catch (error) {
+        console.error('Library export failed:', error);
+    }
+}
+
+/**
+ * Remove a video from the library
+ */
+async function deleteHistoryItem(videoId) {
+    librarySelection.delete(videoId);
+
+    try {
+        await library.delete(videoId);
+    } catch (error) {
+        console.error('Failed to delete from library:', error);
+    }
+
+    await loadLibraryFilters();
+    await loadHistory();
+}
+
 /**
  * Format timestamp
  */
@@ -239,15 +1288,14 @@ function formatTime(timestamp) {
 }
 
 /**
- * Escape HTML
+ * Escape HTML, including quotes so the result is safe inside attribute values
  */
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Make functions available globally for onclick handlers
 window.copySummary = copySummary;
-window.showHistoryItem = showHistoryItem;
@@ -0,0 +1,342 @@
+/**
+ * Summary Export - Turns summaries into Markdown, JSON or Obsidian/Logseq notes
+ * (Markdown with YAML front matter), as a single file or a zip with one file per video.
+ * Timestamps become youtube.com/watch?v=…&t= links.
+ */
+
+const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    obsidian: { label: 'Obsidian note', extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Separates summaries when several are exported to one Markdown file
+const MARKDOWN_SEPARATOR = '\n\n---\n\n';
+
+class SummaryExport {
+    /**
+     * Build a download for one or more summaries
+     * @param {Array<object>} summaries - Summaries as shown in the side panel / stored in the library
+     * @param {string} format - Key of EXPORT_FORMATS
+     * @param {object} [options]
+     * @param {boolean} [options.zip] - One file per summary in a zip. Always used for
+     *   several Obsidian notes, since each note needs its own front matter.
+     * @returns {{name: string, blob: Blob}}
+     */
+    static build(summaries, format, options = {}) {
+        const type = EXPORT_FORMATS[format] || EXPORT_FORMATS.markdown;
+        const single = summaries.length === 1;
+
+        if (single || (!options.zip && format !== 'obsidian')) {
+            const content = format === 'json'
+                ? JSON.stringify(single ? this.toJSON(summaries[0]) : summaries.map(summary => this.toJSON(summary)), null, 2)
+                : summaries.map(summary => this._format(summary, format)).join(MARKDOWN_SEPARATOR);
+
+            return {
+                name: single ? this.buildFileName(summaries[0], type.extension) : `youtube-summaries.${type.extension}`,
+                blob: new Blob([content], { type: type.mimeType })
+            };
+        }
+
+        const usedNames = new Set();
+        const files = summaries.map(summary => {
+            const content = format === 'json'
+                ? JSON.stringify(this.toJSON(summary), null, 2)
+                : this._format(summary, format);
+
+            return { name: this._uniqueName(this.buildFileName(summary, type.extension), usedNames), content };
+        });
+
+        return { name: 'youtube-summaries.zip', blob: this.createZip(files) };
+    }
+
+    /**
+     * Format a single summary as Markdown or an Obsidian note
+     * @private
+     */
+    static _format(summary, format) {
+        return format === 'obsidian' ? this.toObsidian(summary) : this.toMarkdown(summary);
+    }
+
+    /**
+     * Markdown document for a summary
+     * @param {object} summary
+     * @param {object} [options]
+     * @param {boolean} [options.details] - Include the channel/provider/date line (front matter replaces it)
+     * @returns {string}
+     */
+    static toMarkdown(summary, options = {}) {
+        const style = SummaryFormat.getStyle(summary.style);
+        const link = text => this._linkTimestamps(text, summary.videoId);
+        const parts = [`# ${summary.metadata?.title || 'Video Summary'}`];
+
+        if (options.details !== false) {
+            const details = [];
+            if (summary.metadata?.channel) details.push(`**Channel:** ${summary.metadata.channel}`);
+            if (summary.videoId) details.push(`[Watch on YouTube](${this._watchUrl(summary.videoId)})`);
+            details.push(`Summarized with ${summary.providerName || summary.provider || 'AI'} on ${this._formatDate(summary)}`);
+            parts.push(details.join(' · '));
+        }
+
+        if (summary.disclaimer) parts.push(`> ⚠️ ${summary.disclaimer}`);
+
+        if (Array.isArray(summary.summary) && summary.summary.length > 0) {
+            parts.push(`## ${style.labels.summary}\n\n` + (style.render === 'paragraphs'
+                ? summary.summary.map(link).join('\n\n')
+                : summary.summary.map(item => `- ${link(item)}`).join('\n')));
+        } else if (typeof summary.summary === 'string' && summary.summary) {
+            parts.push(`## ${style.labels.summary}\n\n${link(summary.summary)}`);
+        }
+
+        if (summary.takeaways && summary.takeaways.length > 0) {
+            parts.push(`## ${style.labels.takeaways}\n\n` +
+                summary.takeaways.map((item, i) => `${i + 1}. ${link(item)}`).join('\n'));
+        }
+
+        if (summary.sections && summary.sections.length > 0) {
+            parts.push('## Sections\n\n' + summary.sections.map(section => {
+                const timestamp = TimestampUtils.format(section.start);
+                const time = summary.videoId
+                    ? `[${timestamp}](${TimestampUtils.buildWatchUrl(summary.videoId, section.start)})`
+                    : timestamp;
+                return `- ${time} **${section.title}**${section.summary ? ` - ${link(section.summary)}` : ''}`;
+            }).join('\n'));
+        }
+
+        if (summary.conversation && summary.conversation.length > 0) {
+            parts.push('## Questions\n\n' + summary.conversation.map(message =>
+                message.role === 'user' ? `**Q:** ${message.content}` : `**A:** ${link(message.content)}`
+            ).join('\n\n'));
+        }
+
+        return parts.join('\n\n') + '\n';
+    }
+
+    /**
+     * Markdown note with YAML front matter for Obsidian/Logseq vaults
+     * @param {object} summary
+     * @returns {string}
+     */
+    static toObsidian(summary) {
+        const tags = ['youtube', 'video-summary', this._slugify(summary.metadata?.channel)].filter(Boolean);
+        const frontMatter = [
+            '---',
+            `title: ${this._yamlString(summary.metadata?.title || 'Video Summary')}`,
+            `channel: ${this._yamlString(summary.metadata?.channel || '')}`,
+            `url: ${summary.videoId ? this._watchUrl(summary.videoId) : ''}`,
+            `date: ${this._formatDate(summary)}`,
+            `provider: ${this._yamlString(summary.providerName || summary.provider || '')}`,
+            'tags:',
+            ...[...new Set(tags)].map(tag => `  - ${tag}`),
+            '---'
+        ];
+
+        return frontMatter.join('\n') + '\n\n' + this.toMarkdown(summary, { details: false });
+    }
+
+    /**
+     * Plain object for JSON export, without internal fields (search text, cache keys)
+     * @param {object} summary
+     * @returns {object}
+     */
+    static toJSON(summary) {
+        return {
+            videoId: summary.videoId,
+            url: summary.videoId ? this._watchUrl(summary.videoId) : null,
+            title: summary.metadata?.title || null,
+            channel: summary.metadata?.channel || null,
+            date: new Date(summary.savedAt || Date.now()).toISOString(),
+            provider: summary.provider || null,
+            providerName: summary.providerName || null,
+            style: summary.style || null,
+            language: summary.language || null,
+            disclaimer: summary.disclaimer || null,
+            summary: summary.summary,
+            takeaways: summary.takeaways || [],
+            sections: (summary.sections || []).map(section => ({
+                start: section.start,
+                timestamp: TimestampUtils.format(section.start),
+                url: summary.videoId ? TimestampUtils.buildWatchUrl(summary.videoId, section.start) : null,
+                title: section.title,
+                summary: section.summary || ''
+            })),
+            conversation: (summary.conversation || []).map(({ role, content }) => ({ role, content }))
+        };
+    }
+
+    /**
+     * File name from the video title, e.g. "designing-a-plugin-architecture.md"
+     * @param {object} summary
+     * @param {string} extension
+     * @returns {string}
+     */
+    static buildFileName(summary, extension) {
+        const base = this._slugify(summary.metadata?.title).slice(0, 80) || summary.videoId || 'youtube-summary';
+        return `${base}.${extension}`;
+    }
+
+    /**
+     * Build an uncompressed (store-only) zip archive
+     * @param {Array<{name: string, content: string}>} files
+     * @returns {Blob}
+     */
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = this._dosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this._crc32(data);
+
+            // Local file header; flag 0x0800 marks UTF-8 names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(local, name, data);
+            centralParts.push(central, name);
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Turn [m:ss] references in text into Markdown links
+     * @private
+     */
+    static _linkTimestamps(text, videoId) {
+        if (!videoId) return text;
+
+        return String(text).replace(/\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g, (match, timestamp) =>
+            `[${timestamp}](${TimestampUtils.buildWatchUrl(videoId, TimestampUtils.parse(timestamp))})`
+        );
+    }
+
+    /**
+     * @private
+     */
+    static _watchUrl(videoId) {
+        return `https://www.youtube.com/watch?v=${videoId}`;
+    }
+
+    /**
+     * YYYY-MM-DD of when the summary was saved (today if not yet in the library)
+     * @private
+     */
+    static _formatDate(summary) {
+        const date = new Date(summary.savedAt || Date.now());
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Double-quoted YAML scalar (JSON string syntax is valid YAML)
+     * @private
+     */
+    static _yamlString(value) {
+        return JSON.stringify(String(value));
+    }
+
+    /**
+     * Lowercase, dash-separated; keeps non-Latin letters
+     * @private
+     */
+    static _slugify(text) {
+        return (text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Add -2, -3… to a file name already used in the archive
+     * @private
+     */
+    static _uniqueName(name, usedNames) {
+        const dot = name.lastIndexOf('.');
+        let candidate = name;
+
+        for (let i = 2; usedNames.has(candidate); i++) {
+            candidate = `${name.slice(0, dot)}-${i}${name.slice(dot)}`;
+        }
+
+        usedNames.add(candidate);
+        return candidate;
+    }
+
+    /**
+     * @private
+     */
+    static _crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) {
+            crc = this.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Date and time in MS-DOS format, as zip headers store them
+     * @private
+     */
+    static _dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+SummaryExport.FORMATS = EXPORT_FORMATS;
+
+// Export for extension pages
+self.SummaryExport = SummaryExport;
@@ -0,0 +1,422 @@
+/**
+ * Summary Format - Structured summary prompt and parser shared by all providers
+ *
+ * Every provider returns the same result object:
+ * {summary: string[], takeaways: string[], disclaimer: string|null,
+ *  sections: Array<{start: number, title: string, summary: string}>, hasTranscript: boolean}
+ */
+
+// Gemini responseSchema (OpenAPI subset) for JSON mode
+const SUMMARY_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        disclaimer: { type: 'STRING', nullable: true },
+        summary: { type: 'ARRAY', items: { type: 'STRING' } },
+        takeaways: { type: 'ARRAY', items: { type: 'STRING' } },
+        sections: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    timestamp: { type: 'STRING' },
+                    title: { type: 'STRING' },
+                    summary: { type: 'STRING' }
+                },
+                required: ['timestamp', 'title']
+            }
+        }
+    },
+    required: ['summary', 'takeaways']
+};
+
+// Bump when the built-in prompts or the result shape change; cached summaries
+// from other versions are then ignored
+const SUMMARY_PROMPT_VERSION = 1;
+
+const METADATA_DISCLAIMER = 'Summary based on metadata only (transcript unavailable)';
+
+/**
+ * Summary style presets.
+ * - instructions: style-specific prompt instructions
+ * - maxTokens: output limit for the final summary; noteTokens: for map-step notes
+ * - render: 'list' shows summary items as bullets, 'paragraphs' as prose
+ * - sections: whether to ask for timestamped sections
+ * - labels: headings for the summary and takeaways blocks
+ */
+const SUMMARY_STYLES = {
+    bullets: {
+        label: 'Bullet Points',
+        instructions: [
+            'Create 5-8 bullet points summarizing the main content',
+            'Identify 3 key takeaways or insights'
+        ],
+        maxTokens: 1500,
+        noteTokens: 400,
+        render: 'list',
+        sections: true,
+        labels: { summary: 'Summary', takeaways: 'Key Takeaways' }
+    },
+    tldr: {
+        label: 'TL;DR',
+        instructions: [
+            'Write a TL;DR of 2-3 sentences as the only summary item',
+            'Identify the single most important takeaway'
+        ],
+        maxTokens: 400,
+        noteTokens: 300,
+        render: 'paragraphs',
+        sections: false,
+        labels: { summary: 'TL;DR', takeaways: 'Key Takeaway' }
+    },
+    detailed: {
+        label: 'Detailed',
+        instructions: [
+            'Create 12-20 detailed bullet points covering every main topic, argument, example and figure, in order',
+            'Identify 5 key takeaways or insights',
+            'Give each section a 2-4 sentence summary'
+        ],
+        maxTokens: 4000,
+        noteTokens: 800,
+        render: 'list',
+        sections: true,
+        labels: { summary: 'Detailed Summary', takeaways: 'Key Takeaways' }
+    },
+    eli5: {
+        label: 'Explain Like I\'m 5',
+        instructions: [
+            'Explain the video as if to a curious 10-year-old: 2-3 short paragraphs in simple words, one paragraph per summary item, no jargon',
+            'Give 3 "big ideas", one simple sentence each, as the takeaways'
+        ],
+        maxTokens: 1200,
+        noteTokens: 400,
+        render: 'paragraphs',
+        sections: false,
+        labels: { summary: 'Explained Simply', takeaways: 'Big Ideas' }
+    },
+    study: {
+        label: 'Study Notes',
+        instructions: [
+            'Write structured study notes as 8-15 bullet points; define each key term as "Term: definition"',
+            'Write 3-5 review questions, each followed by a short answer, as the takeaways'
+        ],
+        maxTokens: 3000,
+        noteTokens: 600,
+        render: 'list',
+        sections: true,
+        labels: { summary: 'Study Notes', takeaways: 'Review Questions' }
+    }
+};
+
+const DEFAULT_SUMMARY_STYLE = 'bullets';
+
+// Output languages; "auto" keeps the language of the video
+const SUMMARY_LANGUAGES = {
+    auto: 'Same as the video',
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    pl: 'Polish',
+    uk: 'Ukrainian',
+    ru: 'Russian',
+    tr: 'Turkish',
+    ar: 'Arabic',
+    hi: 'Hindi',
+    id: 'Indonesian',
+    vi: 'Vietnamese',
+    ja: 'Japanese',
+    ko: 'Korean',
+    zh: 'Chinese (Simplified)'
+};
+
+const DEFAULT_SUMMARY_LANGUAGE = 'en';
+
+class SummaryFormat {
+    /**
+     * Build the instructions and output format block for a summary prompt
+     * @param {object} context
+     * @param {boolean} context.hasTranscript - False for metadata-only summaries
+     * @param {boolean} [context.timestamped] - Content has [m:ss] timestamps
+     * @param {Array} [context.chapters] - Uploader chapters for section boundaries
+     * @param {boolean} [context.json] - Ask for JSON instead of labelled text
+     * @param {string} [context.style] - Summary style ID (see SUMMARY_STYLES)
+     * @param {string} [context.language] - Output language code (see SUMMARY_LANGUAGES)
+     * @returns {string}
+     */
+    static buildInstructions(context) {
+        const style = this.getStyle(context.style);
+        const withSections = context.hasTranscript && context.timestamped && style.sections;
+
+        const instructions = context.hasTranscript
+            ? [
+                ...style.instructions,
+                'Be accurate and specific - only include information explicitly mentioned',
+                'Do NOT hallucinate or infer details not in the transcript',
+                'If the transcript is incomplete or unclear, say so in the disclaimer'
+            ]
+            : [
+                'Based ONLY on the title, channel, and description, provide a brief overview',
+                'Create 3-5 bullet points about what this video LIKELY covers',
+                'Be clear that this is based on limited information, NOT the actual content',
+                'Do NOT make specific claims about video content',
+                `Set the disclaimer to "${METADATA_DISCLAIMER}"`
+            ];
+
+        if (withSections) {
+            instructions.push(this._buildSectionInstruction(context.chapters));
+        }
+
+        instructions.push(`${this.buildLanguageInstruction(context.language)} ` +
+            `Keep the ${context.json ? 'JSON keys' : 'SUMMARY/TAKEAWAYS/SECTIONS labels'} in English.`);
+
+        const format = context.json
+            ? this._buildJsonFormat(withSections)
+            : this._buildTextFormat(withSections, context.hasTranscript);
+
+        return `INSTRUCTIONS:\n${instructions.map((line, i) => `${i + 1}. ${line}`).join('\n')}\n\n${format}`;
+    }
+
+    /**
+     * Get a summary style preset, falling back to the default
+     * @param {string} [id] - Style ID
+     * @returns {object} Style preset (with its id)
+     */
+    static getStyle(id) {
+        const styleId = SUMMARY_STYLES[id] ? id : DEFAULT_SUMMARY_STYLE;
+        return { id: styleId, ...SUMMARY_STYLES[styleId] };
+    }
+
+    /**
+     * Normalize an output language code, falling back to the default
+     * @param {string} [code]
+     * @returns {string} Language code
+     */
+    static getLanguage(code) {
+        return SUMMARY_LANGUAGES[code] ? code : DEFAULT_SUMMARY_LANGUAGE;
+    }
+
+    /**
+     * Name of an output language for use in prompts
+     * @param {string} [code]
+     * @returns {string} e.g. "German", or "the same language as the video"
+     */
+    static getLanguageName(code) {
+        const language = this.getLanguage(code);
+        return language === 'auto' ? 'the same language as the video' : SUMMARY_LANGUAGES[language];
+    }
+
+    /**
+     * Sentence telling the model which language to write in
+     * @param {string} [code]
+     * @returns {string}
+     */
+    static buildLanguageInstruction(code) {
+        if (this.getLanguage(code) === 'auto') {
+            return 'Write your response in the same language as the video.';
+        }
+        return `Write your response in ${this.getLanguageName(code)}, whatever the language of the transcript.`;
+    }
+
+    /**
+     * Parse a provider response into the structured result.
+     * Accepts JSON (with or without code fences) and falls back to the
+     * labelled text format, then to the raw text as a single bullet.
+     * @param {string} text - Raw provider output
+     * @param {object} [context] - Same context used to build the prompt
+     * @returns {object} Structured summary result
+     */
+    static parse(text, context = {}) {
+        const hasTranscript = context.hasTranscript !== false;
+        const result = this._parseJson(text) || this._parseText(text);
+
+        if (result.summary.length === 0 && result.sections.length === 0) {
+            result.summary = [text.trim()];
+        }
+
+        if (!hasTranscript && !result.disclaimer) {
+            result.disclaimer = METADATA_DISCLAIMER;
+        }
+
+        return { ...result, hasTranscript };
+    }
+
+    /**
+     * Instruction for how to split the summary into timestamped sections
+     * @private
+     */
+    static _buildSectionInstruction(chapters) {
+        if (chapters && chapters.length > 0) {
+            return 'Use these chapters from the video description as the sections, in order, with their timestamps:\n' +
+                chapters.map(chapter => `   [${TimestampUtils.format(chapter.start)}] ${chapter.title}`).join('\n');
+        }
+        return 'Split the video into 3-8 sections by topic, each starting at the [m:ss] timestamp where that topic begins';
+    }
+
+    /**
+     * @private
+     */
+    static _buildJsonFormat(withSections) {
+        const sections = withSections
+            ? ',\n  "sections": [{"timestamp": "m:ss", "title": "...", "summary": "1-2 sentences"}]'
+            : '';
+
+        return `Respond with a JSON object only, in exactly this shape:
+{
+  "disclaimer": null,
+  "summary": ["bullet point 1", "bullet point 2"],
+  "takeaways": ["takeaway 1", "takeaway 2", "takeaway 3"]${sections}
+}`;
+    }
+
+    /**
+     * @private
+     */
+    static _buildTextFormat(withSections, hasTranscript) {
+        const disclaimer = hasTranscript ? '' : `DISCLAIMER: ${METADATA_DISCLAIMER}\n\n`;
+        const sections = withSections
+            ? '\n\nSECTIONS:\n[m:ss] [Section title]: [1-2 sentence summary]\n[m:ss] [Section title]: [1-2 sentence summary]\n...'
+            : '';
+
+        return `FORMAT YOUR RESPONSE EXACTLY AS:
+${disclaimer}SUMMARY:
+- [bullet point 1]
+- [bullet point 2]
+...
+
+TAKEAWAYS:
+1. [takeaway 1]
+2. [takeaway 2]
+3. [takeaway 3]${sections}`;
+    }
+
+    /**
+     * @private
+     */
+    static _parseJson(text) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            return null;
+        }
+
+        if (!data || typeof data !== 'object' || (!data.summary && !data.sections)) {
+            return null;
+        }
+
+        const toList = value => (Array.isArray(value) ? value : [value])
+            .filter(item => typeof item === 'string' && item.trim())
+            .map(item => item.trim());
+
+        // Models sometimes return numbers or objects where strings belong; treat those as missing
+        const toText = value => typeof value === 'string' ? value.trim() : '';
+
+        const sections = (Array.isArray(data.sections) ? data.sections : [])
+            .map(section => ({
+                start: typeof section?.start === 'number' ? section.start : TimestampUtils.parse(toText(section?.timestamp)),
+                title: toText(section?.title),
+                summary: toText(section?.summary)
+            }))
+            .filter(section => section.start !== null && section.title);
+
+        return {
+            summary: data.summary ? toList(data.summary) : [],
+            takeaways: data.takeaways ? toList(data.takeaways) : [],
+            disclaimer: typeof data.disclaimer === 'string' && data.disclaimer.trim() ? data.disclaimer.trim() : null,
+            sections
+        };
+    }
+
+    /**
+     * Tolerant parser for the labelled text format
+     * @private
+     */
+    static _parseText(text) {
+        const result = {
+            summary: [],
+            takeaways: [],
+            disclaimer: null,
+            sections: []
+        };
+
+        const disclaimerMatch = text.match(/DISCLAIMER:\s*(.+?)(?:\n|$)/i);
+        if (disclaimerMatch) {
+            result.disclaimer = disclaimerMatch[1].replace(/\*\*/g, '').trim();
+        }
+
+        const summarySection = text.match(/SUMMARY:\**\s*([\s\S]*?)(?=\**\s*(?:TAKEAWAYS|KEY TAKEAWAYS|SECTIONS):|$)/i);
+        if (summarySection) {
+            result.summary = this._parseList(summarySection[1]);
+        }
+
+        const takeawaysSection = text.match(/TAKEAWAYS:\**\s*([\s\S]*?)(?=\**\s*SECTIONS:|$)/i);
+        if (takeawaysSection) {
+            result.takeaways = this._parseList(takeawaysSection[1]);
+        }
+
+        const sectionsSection = text.match(/SECTIONS:\**\s*([\s\S]*)$/i);
+        if (sectionsSection) {
+            result.sections = this._parseSections(sectionsSection[1]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse bullet or numbered list lines
+     * @private
+     */
+    static _parseList(block) {
+        return block
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => /^(?:[-*•]|\d+[.)])\s+/.test(line))
+            .map(line => line.replace(/^(?:[-*•]|\d+[.)])\s+/, '').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse "[m:ss] Title: summary" lines; untimed lines continue the previous section
+     * @private
+     */
+    static _parseSections(block) {
+        const sections = [];
+
+        for (const line of block.split('\n')) {
+            const match = line.match(/^\s*(?:[-*•]\s*)?\**\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?\**\s*(.*)$/);
+
+            if (match) {
+                const rest = match[2].replace(/\*\*/g, '').trim();
+                const split = rest.search(/:\s|\s[-–—]\s/);
+
+                sections.push({
+                    start: TimestampUtils.parse(match[1]),
+                    title: split === -1 ? rest : rest.slice(0, split).trim(),
+                    summary: split === -1 ? '' : rest.slice(split + 1).replace(/^[-–—]?\s*/, '').trim()
+                });
+            } else if (sections.length > 0 && line.trim()) {
+                const last = sections[sections.length - 1];
+                last.summary = `${last.summary} ${line.trim()}`.trim();
+            }
+        }
+
+        return sections;
+    }
+}
+
+SummaryFormat.RESPONSE_SCHEMA = SUMMARY_RESPONSE_SCHEMA;
+SummaryFormat.PROMPT_VERSION = SUMMARY_PROMPT_VERSION;
+SummaryFormat.STYLES = SUMMARY_STYLES;
+SummaryFormat.DEFAULT_STYLE = DEFAULT_SUMMARY_STYLE;
+SummaryFormat.LANGUAGES = SUMMARY_LANGUAGES;
+SummaryFormat.DEFAULT_LANGUAGE = DEFAULT_SUMMARY_LANGUAGE;
+
+// Export for service worker
+self.SummaryFormat = SummaryFormat;
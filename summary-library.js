@@ -0,0 +1,297 @@
+/**
+ * Summary Library - Every summary the user has generated, stored in IndexedDB
+ * One entry per video: its latest summary, every variant made for it (provider,
+ * style, language, template), its conversation and, optionally, its transcript.
+ * Searchable by title, channel, summary text and transcript.
+ * Shared by the side panel and the service worker (same extension origin).
+ */
+
+const LIBRARY_DB_NAME = 'summaryLibrary';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'summaries';
+
+// Date filter options for search(): milliseconds back from now
+const LIBRARY_DATE_RANGES = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000
+};
+
+class SummaryLibrary {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Save a summary as its video's latest, keeping the video's other variants.
+     * A variant is identified by its cache key, so saving one again replaces it.
+     * A stored transcript and conversation are kept unless the new data has its own.
+     * @param {object} summary - Summary data as shown in the side panel
+     * @returns {Promise<object>} Stored entry
+     */
+    async save(summary) {
+        const existing = await this.get(summary.videoId);
+        const { conversation, transcript } = summary;
+        const variant = { ...SummaryLibrary._toVariant(summary), savedAt: Date.now() };
+
+        const entry = {
+            ...variant,
+            variants: [
+                variant,
+                ...SummaryLibrary.getVariants(existing).filter(item => item.variantId !== variant.variantId)
+            ],
+            conversation: conversation || existing?.conversation || [],
+            transcript: transcript || existing?.transcript || null
+        };
+
+        entry.searchText = this._buildSearchText(entry);
+
+        await this._request('readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    /**
+     * Every summary variant of an entry, newest first
+     * @param {object|null} entry - From get() or search()
+     * @returns {Array<object>} Summary data, each with a variantId and savedAt
+     */
+    static getVariants(entry) {
+        if (!entry) return [];
+
+        // Entries saved before variants were kept hold a single summary
+        return entry.variants || [SummaryLibrary._toVariant(entry)];
+    }
+
+    /**
+     * Get the entry for a video
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<object|null>}
+     */
+    async get(videoId) {
+        if (!videoId) return null;
+        return (await this._request('readonly', store => store.get(videoId))) || null;
+    }
+
+    /**
+     * Update fields of an existing entry without changing when it was saved
+     * @param {string} videoId - YouTube video ID
+     * @param {object} changes - e.g. {conversation} or {transcript}
+     * @returns {Promise<boolean>} False if there is no entry for the video
+     */
+    async update(videoId, changes) {
+        const existing = await this.get(videoId);
+        if (!existing) return false;
+
+        const entry = { ...existing, ...changes };
+        entry.searchText = this._buildSearchText(entry);
+
+        await this._request('readwrite', store => store.put(entry));
+        return true;
+    }
+
+    /**
+     * Delete a video's entry
+     * @param {string} videoId - YouTube video ID
+     */
+    async delete(videoId) {
+        await this._request('readwrite', store => store.delete(videoId));
+    }
+
+    /**
+     * Search the library, newest first
+     * @param {object} [options]
+     * @param {string} [options.query] - Words that must all appear (any order, case-insensitive)
+     * @param {boolean} [options.includeTranscripts] - Also search stored transcripts
+     * @param {string} [options.channel] - Exact channel name
+     * @param {string} [options.provider] - Provider ID
+     * @param {string} [options.since] - Date range key (see LIBRARY_DATE_RANGES)
+     * @param {number} [options.offset] - Results to skip
+     * @param {number} [options.limit] - Page size
+     * @returns {Promise<{items: Array, total: number}>}
+     */
+    async search(options = {}) {
+        const terms = (options.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const since = LIBRARY_DATE_RANGES[options.since] ? Date.now() - LIBRARY_DATE_RANGES[options.since] : 0;
+        const offset = options.offset || 0;
+        const limit = options.limit || 20;
+        const items = [];
+        let total = 0;
+
+        await this._iterate(IDBKeyRange.lowerBound(since), entry => {
+            if (options.channel && entry.metadata?.channel !== options.channel) return;
+            if (options.provider && !SummaryLibrary.getVariants(entry).some(item => item.provider === options.provider)) return;
+
+            if (terms.length > 0) {
+                const text = options.includeTranscripts && entry.transcript
+                    ? `${entry.searchText}\n${entry.transcript.toLowerCase()}`
+                    : entry.searchText;
+                if (!terms.every(term => text.includes(term))) return;
+            }
+
+            if (total >= offset && items.length < limit) {
+                items.push(entry);
+            }
+            total++;
+        });
+
+        return { items, total };
+    }
+
+    /**
+     * Channels and providers present in the library, for filter dropdowns
+     * @returns {Promise<{channels: string[], providers: Array<{id: string, name: string}>}>}
+     */
+    async getFacets() {
+        const channels = new Set();
+        const providers = new Map();
+
+        await this._iterate(null, entry => {
+            if (entry.metadata?.channel) channels.add(entry.metadata.channel);
+            for (const item of SummaryLibrary.getVariants(entry)) {
+                if (item.provider) providers.set(item.provider, item.providerName || item.provider);
+            }
+        });
+
+        return {
+            channels: [...channels].sort((a, b) => a.localeCompare(b)),
+            providers: [...providers].map(([id, name]) => ({ id, name }))
+        };
+    }
+
+    /**
+     * Number of entries in the library
+     * @returns {Promise<number>}
+     */
+    async count() {
+        return await this._request('readonly', store => store.count());
+    }
+
+    /**
+     * Move the old 10-item history (recentSummaries in chrome.storage.local)
+     * into the library. Safe to call more than once.
+     * @returns {Promise<number>} Number of entries migrated
+     */
+    async migrateRecentSummaries() {
+        const { recentSummaries } = await chrome.storage.local.get('recentSummaries');
+        if (!Array.isArray(recentSummaries)) return 0;
+
+        let migrated = 0;
+
+        // Oldest first, so the original order is kept
+        for (const item of [...recentSummaries].reverse()) {
+            if (!item.videoId || await this.get(item.videoId)) continue;
+
+            const entry = { ...item, savedAt: item.timestamp || Date.now() };
+            delete entry.timestamp;
+            delete entry.fromCache;
+            delete entry.sourceTabId;
+            entry.searchText = this._buildSearchText(entry);
+
+            await this._request('readwrite', store => store.put(entry));
+            migrated++;
+        }
+
+        await chrome.storage.local.remove('recentSummaries');
+        console.log(`Migrated ${migrated} recent summaries to the library`);
+        return migrated;
+    }
+
+    /**
+     * Summary data without the per-video and display-only fields
+     * @private
+     */
+    static _toVariant(summary) {
+        const {
+            conversation, transcript, variants, searchText, fromCache, sourceTabId, budgetWarning, ...fields
+        } = summary;
+
+        return { ...fields, variantId: fields.variantId || fields.cacheKey || crypto.randomUUID() };
+    }
+
+    /**
+     * Lowercased title, channel and the text of every variant, for search
+     * @private
+     */
+    _buildSearchText(entry) {
+        const texts = SummaryLibrary.getVariants(entry).flatMap(item => [
+            Array.isArray(item.summary) ? item.summary.join('\n') : item.summary || '',
+            ...(item.takeaways || []),
+            ...(item.sections || []).map(section => `${section.title} ${section.summary || ''}`)
+        ]);
+
+        return [
+            entry.metadata?.title,
+            entry.metadata?.channel,
+            ...texts
+        ].filter(Boolean).join('\n').toLowerCase();
+    }
+
+    /**
+     * Walk entries newest first, optionally within a savedAt range
+     * @private
+     */
+    async _iterate(range, callback) {
+        const db = await this._open();
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(LIBRARY_STORE, 'readonly');
+            const request = transaction.objectStore(LIBRARY_STORE).index('savedAt').openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                callback(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Run a single store request in its own transaction
+     * @private
+     */
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(LIBRARY_STORE, mode);
+            const request = makeRequest(transaction.objectStore(LIBRARY_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+        });
+    }
+
+    /**
+     * @private
+     */
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'videoId' });
+                    store.createIndex('savedAt', 'savedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+}
+
+SummaryLibrary.DATE_RANGES = LIBRARY_DATE_RANGES;
+
+// Export for service worker and extension pages
+self.SummaryLibrary = SummaryLibrary;
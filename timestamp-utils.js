@@ -0,0 +1,51 @@
+/**
+ * Timestamp helpers shared by the service worker, extension pages and the tooltip
+ */
+
+class TimestampUtils {
+    /**
+     * Format seconds as m:ss or h:mm:ss
+     * @param {number} seconds
+     * @returns {string}
+     */
+    static format(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+
+        if (hours > 0) {
+            return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+        }
+        return `${minutes}:${secs}`;
+    }
+
+    /**
+     * Parse m:ss or h:mm:ss into seconds
+     * @param {string} text
+     * @returns {number|null} Seconds, or null if not a timestamp
+     */
+    static parse(text) {
+        const match = (text || '').trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+
+        const hours = parseInt(match[1] || '0', 10);
+        const minutes = parseInt(match[2], 10);
+        const secs = parseInt(match[3], 10);
+
+        return hours * 3600 + minutes * 60 + secs;
+    }
+
+    /**
+     * Build a watch URL that starts playback at a given time
+     * @param {string} videoId - YouTube video ID
+     * @param {number} seconds
+     * @returns {string}
+     */
+    static buildWatchUrl(videoId, seconds) {
+        return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds || 0)}s`;
+    }
+}
+
+// Export for service worker, extension pages and content scripts
+self.TimestampUtils = TimestampUtils;
@@ -1,5 +1,6 @@
 /**
  * Tooltip component for displaying video summaries
+ * Requires timestamp-utils.js to be loaded first
  */
 
 class SummaryTooltip {
@@ -53,7 +54,7 @@ class SummaryTooltip {
     const tooltip = this.create();
 
     // Handle both new format (simple summary string) and old format (structured data)
-    let summary, takeaways, disclaimer, metadata, providerInfo;
+    let summary, takeaways, disclaimer, sections, metadata, providerInfo;
 
     if (typeof data === 'string') {
       // Simple string summary
@@ -64,6 +65,7 @@ class SummaryTooltip {
       summary = data.summary;
       takeaways = data.takeaways;
       disclaimer = data.disclaimer;
+      sections = data.sections;
       metadata = data.metadata || {};
       providerInfo = data.providerInfo || '';
     }
@@ -113,6 +115,22 @@ class SummaryTooltip {
       `;
     }
 
+    if (sections && sections.length > 0) {
+      html += `
+        <div class="yt-summarizer-tooltip-section">
+          <div class="yt-summarizer-tooltip-section-title">Sections</div>
+          <ul class="yt-summarizer-tooltip-list yt-summarizer-tooltip-sections">
+            ${sections.map(section => `
+              <li>
+                <span class="yt-summarizer-tooltip-timestamp">${TimestampUtils.format(section.start)}</span>
+                ${this._escapeHtml(section.title)}
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      `;
+    }
+
     tooltip.innerHTML = html;
 
     this.isVisible = true;
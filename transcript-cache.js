@@ -0,0 +1,81 @@
+/**
+ * Transcript cache - stores fetched transcripts and metadata apart from summaries
+ * so regenerating a summary (other style, language, provider) or asking follow-up
+ * questions doesn't hit YouTube again.
+ * Uses chrome.storage.local with its own key prefix, TTL and index (see StorageCache).
+ */
+
+const TRANSCRIPT_CACHE_PREFIX = 'yt_transcript_';
+const TRANSCRIPT_CACHE_INDEX_KEY = 'transcriptCacheIndex';
+
+// Captions rarely change, but metadata (title, description) can
+const TRANSCRIPT_TTL_HOURS = 24;
+
+// Transcripts are large (~50-150 KB for an hour of speech), so keep only a few
+const MAX_CACHED_TRANSCRIPTS = 30;
+
+// Size limit, lowered to what the summary cache limit leaves of the storage quota
+const MAX_TRANSCRIPT_CACHE_BYTES = 3 * 1024 * 1024;
+
+class TranscriptCache extends StorageCache {
+  constructor() {
+    super({ prefix: TRANSCRIPT_CACHE_PREFIX, indexKey: TRANSCRIPT_CACHE_INDEX_KEY, label: 'Transcript cache' });
+  }
+
+  /**
+   * Build the storage key; caption preferences are part of it because they
+   * decide which track was fetched
+   * @param {string} videoId - YouTube video ID
+   * @param {object} [preferences] - Caption preferences (see TranscriptFetcher.fetchTranscript)
+   * @returns {string}
+   */
+  static buildKey(videoId, preferences = {}) {
+    const params = [
+      (preferences.languages || []).join(','),
+      preferences.kind || 'manual',
+      preferences.translate === false ? 'original' : 'translate'
+    ];
+    return StorageCache.buildKey(TRANSCRIPT_CACHE_PREFIX, videoId, params);
+  }
+
+  /**
+   * Get a cached transcript and metadata
+   * @param {string} videoId - YouTube video ID
+   * @param {object} [preferences] - Caption preferences
+   * @returns {Promise<{transcriptResult: object, metadata: object}|null>} null if not found/expired
+   */
+  async get(videoId, preferences) {
+    const cached = await this._read(TranscriptCache.buildKey(videoId, preferences));
+    return cached ? { transcriptResult: cached.transcriptResult, metadata: cached.metadata } : null;
+  }
+
+  /**
+   * Store a fetched transcript and metadata, removing the least recently used
+   * entries beyond MAX_CACHED_TRANSCRIPTS. A missing entry only costs a refetch.
+   * @param {string} videoId - YouTube video ID
+   * @param {object} preferences - Caption preferences used for the fetch
+   * @param {object} transcriptResult - From TranscriptFetcher.fetchTranscript
+   * @param {object} metadata - From TranscriptFetcher.fetchMetadata
+   */
+  async set(videoId, preferences, transcriptResult, metadata) {
+    await this._write(TranscriptCache.buildKey(videoId, preferences), videoId, { transcriptResult, metadata }, TRANSCRIPT_TTL_HOURS);
+  }
+
+  /**
+   * Budgeted with the summary cache, so that both at their limits still fit in the quota
+   * @private
+   */
+  async _getLimits() {
+    const summaryLimits = await SummaryCache.getLimits();
+    const quota = chrome.storage.local.QUOTA_BYTES || 10 * 1024 * 1024;
+    const available = quota - StorageCache.RESERVED_BYTES - summaryLimits.maxBytes;
+
+    return {
+      maxEntries: MAX_CACHED_TRANSCRIPTS,
+      maxBytes: Math.max(0, Math.min(MAX_TRANSCRIPT_CACHE_BYTES, available))
+    };
+  }
+}
+
+// Export for service worker
+self.TranscriptCache = TranscriptCache;
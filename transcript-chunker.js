@@ -0,0 +1,205 @@
+/**
+ * Transcript Chunker - Splits long transcripts into token-budgeted windows
+ * Used by APIManager for map-reduce summarization of long videos
+ */
+
+// Rough average for English text; good enough for budgeting, not billing
+const CHARS_PER_TOKEN = 4;
+
+// Input tokens per request, leaving headroom for the prompt and the output
+const PROVIDER_TOKEN_BUDGETS = {
+    gemini: 100000,
+    openrouter: 24000,
+    deepseek: 40000,
+    local: 6000
+};
+
+// Model-specific budgets (mostly for OpenRouter, where the model varies)
+const MODEL_TOKEN_BUDGETS = [
+    { pattern: /gemini/i, tokens: 100000 },
+    { pattern: /claude/i, tokens: 60000 },
+    { pattern: /gpt-4o|gpt-4\.1/i, tokens: 60000 },
+    { pattern: /deepseek/i, tokens: 40000 },
+    { pattern: /llama-3\.[1-3]|qwen/i, tokens: 24000 },
+    { pattern: /mistral|gemma/i, tokens: 12000 }
+];
+
+const DEFAULT_TOKEN_BUDGET = 12000;
+
+class TranscriptChunker {
+    /**
+     * Estimate the token count of a string
+     * @param {string} text
+     * @returns {number}
+     */
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Get the per-request input budget for a provider/model
+     * @param {string} provider - Provider ID
+     * @param {string} [model] - Model name, if configurable
+     * @returns {number} Token budget
+     */
+    static getTokenBudget(provider, model) {
+        // Ollama is bounded by the context window we request, not the model
+        if (model && provider !== 'local') {
+            const match = MODEL_TOKEN_BUDGETS.find(entry => entry.pattern.test(model));
+            if (match) return match.tokens;
+        }
+
+        return PROVIDER_TOKEN_BUDGETS[provider] || DEFAULT_TOKEN_BUDGET;
+    }
+
+    /**
+     * Split text into chunks that each fit within a token budget.
+     * Breaks on sentence and line boundaries where possible.
+     * @param {string} text - Transcript text
+     * @param {number} tokenBudget - Max tokens per chunk
+     * @returns {string[]} Chunks (a single chunk if the text fits)
+     */
+    static split(text, tokenBudget) {
+        if (!text) return [];
+
+        const maxChars = tokenBudget * CHARS_PER_TOKEN;
+        if (text.length <= maxChars) return [text];
+
+        const chunks = [];
+        let current = '';
+
+        for (const piece of this._splitIntoPieces(text, maxChars)) {
+            if (current && current.length + piece.length > maxChars) {
+                chunks.push(current.trim());
+                current = '';
+            }
+            current += piece;
+        }
+
+        if (current.trim()) {
+            chunks.push(current.trim());
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Cut text to a token budget, at a sentence or line boundary where possible
+     * @param {string} text
+     * @param {number} tokenBudget - Max tokens to keep
+     * @returns {string} The text itself if it fits
+     */
+    static truncate(text, tokenBudget) {
+        const [first = ''] = this.split(text, tokenBudget);
+        return first.slice(0, tokenBudget * CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Group items (e.g. partial summaries) into batches within a token budget
+     * @param {string[]} items
+     * @param {number} tokenBudget - Max tokens per batch
+     * @returns {string[][]} Batches, each with at least one item
+     */
+    static group(items, tokenBudget) {
+        const groups = [];
+        let current = [];
+        let currentTokens = 0;
+
+        for (const item of items) {
+            const tokens = this.estimateTokens(item);
+            if (current.length > 0 && currentTokens + tokens > tokenBudget) {
+                groups.push(current);
+                current = [];
+                currentTokens = 0;
+            }
+            current.push(item);
+            currentTokens += tokens;
+        }
+
+        if (current.length > 0) {
+            groups.push(current);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Pick the parts of a transcript most relevant to a question, within a
+     * token budget. Returns the whole text if it already fits.
+     * Relevance is keyword overlap weighted by how rare each keyword is
+     * across the transcript; selected parts keep their order.
+     * @param {string} text - Transcript text
+     * @param {string} query - Question to match against
+     * @param {number} tokenBudget - Max tokens to return
+     * @returns {string}
+     */
+    static selectRelevant(text, query, tokenBudget) {
+        if (!text || this.estimateTokens(text) <= tokenBudget) return text;
+
+        const tokenize = value => (value || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+        const terms = new Set(tokenize(query));
+
+        const chunks = this.split(text, Math.max(500, Math.floor(tokenBudget / 6)))
+            .map((chunk, index) => ({ chunk, index, words: new Set(tokenize(chunk)) }));
+
+        // Common words ("about", "what") appear everywhere and carry no signal
+        const weights = {};
+        for (const term of terms) {
+            const matches = chunks.filter(item => item.words.has(term)).length;
+            weights[term] = matches > 0 ? Math.log(chunks.length / matches) : 0;
+        }
+
+        const scored = chunks
+            .map(item => ({
+                ...item,
+                score: [...terms].reduce((sum, term) => sum + (item.words.has(term) ? weights[term] : 0), 0)
+            }))
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+
+        const selected = [];
+        let used = 0;
+
+        for (const item of scored) {
+            const tokens = this.estimateTokens(item.chunk);
+            if (used + tokens > tokenBudget) continue;
+            selected.push(item);
+            used += tokens;
+        }
+
+        return selected
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.chunk)
+            .join('\n...\n');
+    }
+
+    /**
+     * Break text into sentence/line pieces no longer than maxChars
+     * @private
+     */
+    static _splitIntoPieces(text, maxChars) {
+        const pieces = [];
+
+        for (const sentence of text.split(/(?<=[.!?\n])/)) {
+            if (sentence.length <= maxChars) {
+                pieces.push(sentence);
+                continue;
+            }
+
+            // Auto-generated captions often have no punctuation at all
+            let current = '';
+            for (const word of sentence.split(/(?<=\s)/)) {
+                if (current && current.length + word.length > maxChars) {
+                    pieces.push(current);
+                    current = '';
+                }
+                current += word;
+            }
+            if (current) pieces.push(current);
+        }
+
+        return pieces;
+    }
+}
+
+// Export for service worker
+self.TranscriptChunker = TranscriptChunker;
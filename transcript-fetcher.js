@@ -3,6 +3,9 @@
  * Uses multiple methods to reliably fetch video transcripts
  */
 
+// Caption languages to look for when the user hasn't set any
+const DEFAULT_CAPTION_LANGUAGES = ['en'];
+
 class TranscriptFetcher {
     constructor() {
         // YouTube Innertube API configuration
@@ -16,27 +19,37 @@ class TranscriptFetcher {
     /**
      * Fetch transcript for a YouTube video
      * @param {string} videoId - YouTube video ID
-     * @returns {Promise<object>} Transcript text and metadata
+     * @param {object} [preferences] - Caption track preferences
+     * @param {string[]} [preferences.languages] - Preferred language codes, in order
+     * @param {string} [preferences.kind] - 'manual' or 'asr' (auto-generated) captions first
+     * @param {boolean} [preferences.translate] - Use a translated track when only foreign ones exist
+     * @returns {Promise<object>} Transcript text, timed segments and metadata.
+     *   Each segment is {start, duration, text} with times in seconds.
+     *   track is {language, languageName, kind, translated, sourceLanguage}, or null if unknown.
      */
-    async fetchTranscript(videoId) {
+    async fetchTranscript(videoId, preferences = {}) {
         console.log(`Fetching transcript for video: ${videoId}`);
 
         try {
             // Method 1: Try Innertube API (most reliable)
-            let transcript = await this._fetchViaInnertube(videoId);
+            let transcript = await this._fetchViaInnertube(videoId, preferences);
             if (transcript) {
                 return {
-                    text: transcript,
+                    text: transcript.text,
+                    segments: transcript.segments,
+                    track: transcript.track || null,
                     available: true,
                     source: 'innertube'
                 };
             }
 
             // Method 2: Try page scraping as fallback
-            transcript = await this._fetchFromVideoPage(videoId);
+            transcript = await this._fetchFromVideoPage(videoId, preferences);
             if (transcript) {
                 return {
-                    text: transcript,
+                    text: transcript.text,
+                    segments: transcript.segments,
+                    track: transcript.track || null,
                     available: true,
                     source: 'page_scrape'
                 };
@@ -45,6 +58,8 @@ class TranscriptFetcher {
             console.log('No transcript available for this video');
             return {
                 text: null,
+                segments: [],
+                track: null,
                 available: false,
                 source: null
             };
@@ -53,6 +68,8 @@ class TranscriptFetcher {
             console.error('Transcript fetch error:', error);
             return {
                 text: null,
+                segments: [],
+                track: null,
                 available: false,
                 error: error.message
             };
@@ -63,7 +80,7 @@ class TranscriptFetcher {
      * Method 1: Fetch via YouTube Innertube API
      * This is the internal API that YouTube's website uses
      */
-    async _fetchViaInnertube(videoId) {
+    async _fetchViaInnertube(videoId, preferences) {
         try {
             // Step 1: Get video player response to find caption tracks
             const playerResponse = await fetch(
@@ -90,38 +107,24 @@ class TranscriptFetcher {
             const playerData = await playerResponse.json();
 
             // Extract caption tracks
-            const captionTracks = playerData?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+            const tracklist = playerData?.captions?.playerCaptionsTracklistRenderer;
+            const captionTracks = tracklist?.captionTracks;
 
             if (!captionTracks || captionTracks.length === 0) {
                 console.log('No caption tracks in player response');
                 return null;
             }
 
-            // Select best track (prefer English, manual over auto-generated)
-            const selectedTrack = this._selectBestTrack(captionTracks);
+            // Select best track for the user's language and kind preferences
+            const selection = this._selectBestTrack(captionTracks, preferences, tracklist.translationLanguages);
 
-            if (!selectedTrack?.baseUrl) {
+            if (!selection?.track?.baseUrl) {
                 console.log('No suitable caption track found');
                 return null;
             }
 
-            console.log(`Found caption track: ${selectedTrack.languageCode}`);
-
             // Step 2: Fetch the actual transcript
-            const transcriptResponse = await fetch(selectedTrack.baseUrl + '&fmt=json3');
-
-            if (!transcriptResponse.ok) {
-                // Try XML format as fallback
-                const xmlResponse = await fetch(selectedTrack.baseUrl);
-                if (xmlResponse.ok) {
-                    const xml = await xmlResponse.text();
-                    return this._parseTranscriptXml(xml);
-                }
-                return null;
-            }
-
-            const transcriptData = await transcriptResponse.json();
-            return this._parseTranscriptJson(transcriptData);
+            return await this._fetchTrack(selection, tracklist.translationLanguages);
 
         } catch (error) {
             console.error('Innertube fetch error:', error);
@@ -132,13 +135,25 @@ class TranscriptFetcher {
     /**
      * Method 2: Fetch from video page (fallback)
      */
-    async _fetchFromVideoPage(videoId) {
+    async _fetchFromVideoPage(videoId, preferences) {
         try {
             const videoPageUrl = `https://www.youtube.com/watch?v=${videoId}`;
             const response = await fetch(videoPageUrl);
             const html = await response.text();
 
-            // Try to extract caption track URL from page
+            // Prefer the full track list, so language preferences still apply
+            const captionTracks = this._extractJsonValue(html, 'captionTracks');
+            if (Array.isArray(captionTracks) && captionTracks.length > 0) {
+                const translationLanguages = this._extractJsonValue(html, 'translationLanguages') || [];
+                const selection = this._selectBestTrack(captionTracks, preferences, translationLanguages);
+
+                if (selection?.track?.baseUrl) {
+                    const transcript = await this._fetchTrack(selection, translationLanguages);
+                    if (transcript) return transcript;
+                }
+            }
+
+            // Otherwise take the first caption track URL on the page
             const captionUrl = this._extractCaptionUrl(html);
 
             if (!captionUrl) {
@@ -185,60 +200,191 @@ class TranscriptFetcher {
     }
 
     /**
-     * Select the best caption track
+     * Extract a JSON array or object that follows "key": in page HTML
+     * @returns {*} Parsed value, or null
      */
-    _selectBestTrack(tracks) {
+    _extractJsonValue(html, key) {
+        const keyIndex = html.indexOf(`"${key}":`);
+        if (keyIndex === -1) return null;
+
+        const start = keyIndex + key.length + 3;
+        const open = html[start];
+        if (open !== '[' && open !== '{') return null;
+
+        // Walk to the matching bracket, skipping brackets inside strings
+        let depth = 0;
+        let inString = false;
+
+        for (let i = start; i < html.length; i++) {
+            const char = html[i];
+
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        return JSON.parse(html.slice(start, i + 1));
+                    } catch (error) {
+                        return null;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Select the best caption track for the user's preferences:
+     * 1. A track in a preferred language (in order), preferred kind first
+     * 2. A foreign track translated into the first preferred language YouTube offers
+     * 3. Any track, preferred kind first
+     * @param {Array} tracks - captionTracks from the player response
+     * @param {object} [preferences] - See fetchTranscript
+     * @param {Array} [translationLanguages] - Languages YouTube can translate into
+     * @returns {{track: object, translateTo: string|null}|null}
+     */
+    _selectBestTrack(tracks, preferences = {}, translationLanguages = []) {
         if (!tracks || tracks.length === 0) return null;
 
-        // Priority order:
-        // 1. English manual captions
-        // 2. English auto-generated
-        // 3. Any manual captions
-        // 4. Any auto-generated
-
-        const priorities = [
-            t => t.languageCode === 'en' && t.kind !== 'asr',
-            t => t.languageCode === 'en' && t.kind === 'asr',
-            t => t.languageCode?.startsWith('en') && t.kind !== 'asr',
-            t => t.languageCode?.startsWith('en'),
-            t => t.kind !== 'asr',
-            t => true
-        ];
-
-        for (const test of priorities) {
-            const track = tracks.find(test);
-            if (track) return track;
+        const languages = (preferences.languages?.length ? preferences.languages : DEFAULT_CAPTION_LANGUAGES)
+            .map(code => code.toLowerCase());
+        const normalize = code => (code || '').toLowerCase();
+        const primary = code => normalize(code).split('-')[0];
+
+        // Sort preferred kind first; Array#sort is stable, so YouTube's order is kept otherwise
+        const preferAsr = preferences.kind === 'asr';
+        const byKind = list => [...list].sort((a, b) =>
+            Number((a.kind === 'asr') !== preferAsr) - Number((b.kind === 'asr') !== preferAsr)
+        );
+
+        for (const code of languages) {
+            const exact = tracks.filter(t => normalize(t.languageCode) === code);
+            const related = tracks.filter(t => primary(t.languageCode) === primary(code));
+            const candidates = exact.length > 0 ? exact : related;
+
+            if (candidates.length > 0) {
+                return { track: byKind(candidates)[0], translateTo: null };
+            }
+        }
+
+        if (preferences.translate !== false) {
+            const translatable = byKind(tracks.filter(t => t.isTranslatable));
+            const target = this._findTranslationLanguage(languages, translationLanguages || []);
+
+            if (translatable.length > 0 && target) {
+                return { track: translatable[0], translateTo: target };
+            }
+        }
+
+        return { track: byKind(tracks)[0], translateTo: null };
+    }
+
+    /**
+     * First preferred language YouTube can translate into, in YouTube's casing
+     * (e.g. "zh-Hans"). Without a list, assume the first preference works.
+     * @private
+     */
+    _findTranslationLanguage(languages, translationLanguages) {
+        if (translationLanguages.length === 0) return languages[0] || null;
+
+        for (const code of languages) {
+            const match = translationLanguages.find(language => language.languageCode?.toLowerCase() === code) ||
+                translationLanguages.find(language => language.languageCode?.toLowerCase().split('-')[0] === code.split('-')[0]);
+            if (match) return match.languageCode;
         }
 
-        return tracks[0];
+        return null;
+    }
+
+    /**
+     * Fetch and parse a selected caption track, translated if requested
+     * @param {{track: object, translateTo: string|null}} selection - From _selectBestTrack
+     * @param {Array} [translationLanguages] - For the translated language's name
+     * @returns {Promise<{text: string, segments: Array, track: object}|null>}
+     */
+    async _fetchTrack(selection, translationLanguages = []) {
+        const { track, translateTo } = selection;
+        const url = translateTo ? `${track.baseUrl}&tlang=${encodeURIComponent(translateTo)}` : track.baseUrl;
+
+        console.log(`Found caption track: ${track.languageCode}${track.kind === 'asr' ? ' (auto-generated)' : ''}` +
+            `${translateTo ? `, translating to ${translateTo}` : ''}`);
+
+        let transcript = null;
+        const transcriptResponse = await fetch(url + '&fmt=json3');
+
+        if (transcriptResponse.ok) {
+            transcript = this._parseTranscriptJson(await transcriptResponse.json());
+        } else {
+            // Try XML format as fallback
+            const xmlResponse = await fetch(url);
+            if (xmlResponse.ok) {
+                transcript = this._parseTranscriptXml(await xmlResponse.text());
+            }
+        }
+
+        if (!transcript) return null;
+
+        const translation = translateTo && (translationLanguages || []).find(language => language.languageCode === translateTo);
+
+        return {
+            ...transcript,
+            track: {
+                language: translateTo || track.languageCode,
+                languageName: translateTo
+                    ? this._getText(translation?.languageName) || translateTo
+                    : this._getText(track.name) || track.languageCode,
+                kind: track.kind === 'asr' ? 'asr' : 'manual',
+                translated: !!translateTo,
+                sourceLanguage: track.languageCode,
+                sourceLanguageName: this._getText(track.name) || track.languageCode
+            }
+        };
+    }
+
+    /**
+     * Read a YouTube text object ({simpleText} or {runs: [{text}]})
+     * @private
+     */
+    _getText(value) {
+        if (!value) return null;
+        return value.simpleText || value.runs?.map(run => run.text).join('') || null;
     }
 
     /**
      * Parse JSON3 format transcript
+     * @returns {{text: string, segments: Array}|null}
      */
     _parseTranscriptJson(data) {
         try {
             const events = data.events || [];
-            const texts = [];
+            const segments = [];
 
             for (const event of events) {
-                if (event.segs) {
-                    for (const seg of event.segs) {
-                        if (seg.utf8) {
-                            const text = seg.utf8.trim();
-                            if (text && text !== '\n') {
-                                texts.push(text);
-                            }
-                        }
-                    }
+                if (!event.segs) continue;
+
+                const text = event.segs
+                    .map(seg => seg.utf8 || '')
+                    .join('')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+
+                if (text) {
+                    segments.push({
+                        start: (event.tStartMs || 0) / 1000,
+                        duration: (event.dDurationMs || 0) / 1000,
+                        text
+                    });
                 }
             }
 
-            const transcript = texts.join(' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-
-            return transcript || null;
+            return this._buildTranscript(segments);
 
         } catch (error) {
             console.error('JSON parse error:', error);
@@ -248,15 +394,16 @@ class TranscriptFetcher {
 
     /**
      * Parse XML format transcript
+     * @returns {{text: string, segments: Array}|null}
      */
     _parseTranscriptXml(xml) {
         try {
-            const textRegex = /<text[^>]*>(.*?)<\/text>/g;
-            const texts = [];
+            const textRegex = /<text([^>]*)>(.*?)<\/text>/gs;
+            const segments = [];
             let match;
 
             while ((match = textRegex.exec(xml)) !== null) {
-                const text = match[1]
+                const text = match[2]
                     .replace(/&amp;/g, '&')
                     .replace(/&lt;/g, '<')
                     .replace(/&gt;/g, '>')
@@ -266,15 +413,15 @@ class TranscriptFetcher {
                     .trim();
 
                 if (text) {
-                    texts.push(text);
+                    segments.push({
+                        start: parseFloat(this._extractFromHtml(match[1], /start="([\d.]+)"/)) || 0,
+                        duration: parseFloat(this._extractFromHtml(match[1], /dur="([\d.]+)"/)) || 0,
+                        text
+                    });
                 }
             }
 
-            const transcript = texts.join(' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-
-            return transcript || null;
+            return this._buildTranscript(segments);
 
         } catch (error) {
             console.error('XML parse error:', error);
@@ -282,6 +429,91 @@ class TranscriptFetcher {
         }
     }
 
+    /**
+     * Join parsed segments into the flat transcript text
+     * @returns {{text: string, segments: Array}|null}
+     */
+    _buildTranscript(segments) {
+        const text = segments.map(segment => segment.text)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return text ? { text, segments } : null;
+    }
+
+    /**
+     * Format segments as "[m:ss] text" lines for timestamp-aware prompts.
+     * Consecutive segments are grouped so each line covers ~interval seconds.
+     * @param {Array} segments - Segments from fetchTranscript
+     * @param {number} interval - Seconds per line
+     * @returns {string|null}
+     */
+    formatTimestampedText(segments, interval = 30) {
+        if (!segments || segments.length === 0) return null;
+
+        const lines = [];
+        let lineStart = null;
+        let texts = [];
+
+        for (const segment of segments) {
+            if (lineStart === null) {
+                lineStart = segment.start;
+            } else if (segment.start - lineStart >= interval) {
+                lines.push(`[${TimestampUtils.format(lineStart)}] ${texts.join(' ')}`);
+                lineStart = segment.start;
+                texts = [];
+            }
+            texts.push(segment.text);
+        }
+
+        if (texts.length > 0) {
+            lines.push(`[${TimestampUtils.format(lineStart)}] ${texts.join(' ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Parse uploader chapters ("0:00 Intro") from a video description.
+     * Follows YouTube's rules: first chapter at 0:00, at least 3, ascending.
+     * @param {string} description - Full video description
+     * @returns {Array<{start: number, title: string}>}
+     */
+    _parseChapters(description) {
+        if (!description) return [];
+
+        const timestamp = '\\(?\\[?((?:\\d{1,2}:)?\\d{1,2}:\\d{2})\\]?\\)?';
+        const leading = new RegExp(`^\\s*(?:[-•*]\\s*)?${timestamp}\\s*(?:[-–—:|]\\s*)?(.+)$`);
+        const trailing = new RegExp(`^\\s*(.+?)\\s*(?:[-–—:|]\\s*)?${timestamp}\\s*$`);
+        const chapters = [];
+
+        for (const line of description.split('\n')) {
+            let start = null;
+            let title = null;
+
+            let match = line.match(leading);
+            if (match) {
+                start = TimestampUtils.parse(match[1]);
+                title = match[2];
+            } else if ((match = line.match(trailing))) {
+                start = TimestampUtils.parse(match[2]);
+                title = match[1];
+            }
+
+            if (start !== null && title && title.trim()) {
+                chapters.push({ start, title: title.trim() });
+            }
+        }
+
+        const ascending = chapters.every((chapter, i) => i === 0 || chapter.start > chapters[i - 1].start);
+        if (chapters.length < 3 || chapters[0].start !== 0 || !ascending) {
+            return [];
+        }
+
+        return chapters;
+    }
+
     /**
      * Fetch video metadata
      */
@@ -312,7 +544,8 @@ class TranscriptFetcher {
                 channel: videoDetails.author || null,
                 description: videoDetails.shortDescription?.substring(0, 500) || null,
                 duration: videoDetails.lengthSeconds || null,
-                viewCount: videoDetails.viewCount || null
+                viewCount: videoDetails.viewCount || null,
+                chapters: this._parseChapters(videoDetails.shortDescription)
             };
 
         } catch (error) {
@@ -329,17 +562,20 @@ class TranscriptFetcher {
             const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`);
             const html = await response.text();
 
+            const description = this._extractFromHtml(html, /"description":\{"simpleText":"([^"]+)"/);
+
             return {
                 title: this._extractFromHtml(html, /<meta\s+name="title"\s+content="([^"]+)"/i),
                 channel: this._extractFromHtml(html, /"author":"([^"]+)"/),
-                description: this._extractFromHtml(html, /"description":\{"simpleText":"([^"]+)"/),
+                description,
                 duration: null,
-                viewCount: null
+                viewCount: null,
+                chapters: this._parseChapters(description?.replace(/\\n/g, '\n'))
             };
 
         } catch (error) {
             console.error('Page metadata error:', error);
-            return { title: null, channel: null, description: null };
+            return { title: null, channel: null, description: null, chapters: [] };
         }
     }
 
@@ -349,5 +585,7 @@ class TranscriptFetcher {
     }
 }
 
+TranscriptFetcher.DEFAULT_CAPTION_LANGUAGES = DEFAULT_CAPTION_LANGUAGES;
+
 // Export for service worker
 self.TranscriptFetcher = TranscriptFetcher;
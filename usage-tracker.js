@@ -0,0 +1,183 @@
+/**
+ * Usage Tracker - token usage per day, provider and model, with cost estimates and a monthly budget
+ *
+ * Usage is kept in chrome.storage.local as daily totals. Costs are estimated from the
+ * price table in settings (USD per million tokens) whenever they are read, so editing a
+ * price updates past estimates too. Ollama is always free; other models without a
+ * price add no cost but are flagged as unpriced, and count as paid for the budget.
+ */
+
+const USAGE_STORAGE_KEY = 'usageLog';
+const USAGE_RETENTION_DAYS = 400;
+
+// Share of the monthly budget at which the user is warned
+const BUDGET_WARNING_RATIO = 0.8;
+
+// USD per million tokens, used until the user edits the table in options
+const DEFAULT_MODEL_PRICES = [
+    { model: 'gemini-2.0-flash-exp', input: 0, output: 0 },
+    { model: 'google/gemini-2.0-flash-exp:free', input: 0, output: 0 },
+    { model: 'deepseek-chat', input: 0.27, output: 1.10 },
+    { model: 'openai/gpt-4o-mini', input: 0.15, output: 0.60 }
+];
+
+class UsageTracker {
+    constructor() {
+        // Serializes read-modify-write cycles
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Add a request's tokens to today's totals
+     * @param {string} provider - Provider ID
+     * @param {string|null} model - Model name
+     * @param {{promptTokens: number, completionTokens: number}} usage
+     */
+    async record(provider, model, usage) {
+        const date = this._dateKey(new Date());
+        const key = `${date}|${provider}|${model || ''}`;
+
+        this.queue = this.queue.then(async () => {
+            const log = await this._load();
+            const entry = log[key] || { date, provider, model: model || null, requests: 0, promptTokens: 0, completionTokens: 0 };
+
+            entry.requests++;
+            entry.promptTokens += usage.promptTokens;
+            entry.completionTokens += usage.completionTokens;
+            log[key] = entry;
+
+            // Drop days past the retention period
+            const cutoff = this._dateKey(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+            for (const [name, item] of Object.entries(log)) {
+                if (item.date < cutoff) delete log[name];
+            }
+
+            await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: log });
+        }).catch(error => console.error('Failed to record usage:', error));
+
+        return this.queue;
+    }
+
+    /**
+     * Daily totals with estimated costs
+     * @returns {Promise<Array<{date, provider, model, requests, promptTokens, completionTokens, cost, priced}>>}
+     *   cost in USD; priced is false when the model has no price
+     */
+    async getEntries() {
+        const [log, prices] = await Promise.all([this._load(), this.getPrices()]);
+
+        return Object.values(log).map(entry => {
+            const cost = this._cost(entry.provider, entry.model, entry, prices);
+            return { ...entry, cost: cost ?? 0, priced: cost !== null };
+        });
+    }
+
+    /**
+     * Estimated cost of one request or summary
+     * @param {string} provider - Provider ID
+     * @param {string|null} model - Model name
+     * @param {{promptTokens: number, completionTokens: number}} usage
+     * @returns {Promise<number|null>} USD, or null if the model has no price
+     */
+    async estimateCost(provider, model, usage) {
+        return this._cost(provider, model, usage, await this.getPrices());
+    }
+
+    /**
+     * Whether a model costs money, per the price table. Models without a price count as
+     * paid, so an exhausted budget isn't overspent on them; a zero price marks one as free.
+     * @param {string} provider - Provider ID
+     * @param {string|null} model - Model name
+     * @returns {Promise<boolean>}
+     */
+    async isPaid(provider, model) {
+        if (provider === 'local') return false;
+
+        const price = this._findPrice(model, await this.getPrices());
+        return !price || price.input > 0 || price.output > 0;
+    }
+
+    /**
+     * This month's spend against the budget set in options
+     * @returns {Promise<{budget: number|null, spent: number, warning: boolean, exhausted: boolean}>}
+     */
+    async getBudgetStatus() {
+        const { monthlyBudget } = await chrome.storage.sync.get(['monthlyBudget']);
+        const month = this._dateKey(new Date()).slice(0, 7);
+        const spent = (await this.getEntries())
+            .filter(entry => entry.date.startsWith(month))
+            .reduce((total, entry) => total + entry.cost, 0);
+        const budget = monthlyBudget > 0 ? monthlyBudget : null;
+
+        return {
+            budget,
+            spent,
+            warning: !!budget && spent >= budget * BUDGET_WARNING_RATIO,
+            exhausted: !!budget && spent >= budget
+        };
+    }
+
+    /**
+     * The user's price table, or the defaults
+     * @returns {Promise<Array<{model: string, input: number, output: number}>>}
+     */
+    async getPrices() {
+        const { modelPrices } = await chrome.storage.local.get(['modelPrices']);
+        return Array.isArray(modelPrices) ? modelPrices : DEFAULT_MODEL_PRICES;
+    }
+
+    /**
+     * Remove all usage history
+     */
+    async clear() {
+        await chrome.storage.local.remove(USAGE_STORAGE_KEY);
+    }
+
+    /**
+     * @returns {number|null} USD, or null if the model has no price
+     * @private
+     */
+    _cost(provider, model, usage, prices) {
+        if (provider === 'local') return 0;
+
+        const price = this._findPrice(model, prices);
+        if (!price) return null;
+
+        return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000000;
+    }
+
+    /**
+     * Price for a model; OpenRouter's ":free" variants are free
+     * @private
+     */
+    _findPrice(model, prices) {
+        if (!model) return null;
+
+        const price = prices.find(entry => entry.model === model);
+        if (price) return price;
+        return model.endsWith(':free') ? { model, input: 0, output: 0 } : null;
+    }
+
+    /**
+     * @private
+     */
+    async _load() {
+        const result = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+        return result[USAGE_STORAGE_KEY] || {};
+    }
+
+    /**
+     * Local date as YYYY-MM-DD
+     * @private
+     */
+    _dateKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+UsageTracker.DEFAULT_MODEL_PRICES = DEFAULT_MODEL_PRICES;
+UsageTracker.BUDGET_WARNING_RATIO = BUDGET_WARNING_RATIO;
+
+// Export for service worker and options page
+self.UsageTracker = UsageTracker;